@@ -0,0 +1,423 @@
+// Default AniList GraphQL endpoint, can be replaced in the settings (e.g. by a local mock server)
+const DEFAULT_ANILIST_ENDPOINT = 'https://graphql.anilist.co';
+
+// AniList list statuses mapped to manga statuses
+const ANILIST_TO_STATUS = {
+    CURRENT: 'reading',
+    REPEATING: 'reading',
+    COMPLETED: 'completed',
+    PAUSED: 'onHold',
+    DROPPED: 'dropped',
+    PLANNING: 'planToRead'
+};
+
+// Manga statuses mapped to AniList list statuses
+const STATUS_TO_ANILIST = {
+    reading: 'CURRENT',
+    completed: 'COMPLETED',
+    onHold: 'PAUSED',
+    dropped: 'DROPPED',
+    planToRead: 'PLANNING'
+};
+
+const ANILIST_VIEWER_QUERY = `
+    query {
+        Viewer { id name }
+    }
+`;
+
+const ANILIST_LIST_QUERY = `
+    query ($userName: String, $userId: Int) {
+        MediaListCollection(userName: $userName, userId: $userId, type: MANGA) {
+            lists {
+                entries {
+                    mediaId
+                    status
+                    score(format: POINT_10)
+                    progress
+                    startedAt { year month day }
+                    completedAt { year month day }
+                    media {
+                        title { userPreferred }
+                        coverImage { large }
+                        siteUrl
+                        chapters
+                    }
+                }
+            }
+        }
+    }
+`;
+
+const ANILIST_SAVE_MUTATION = `
+    mutation ($mediaId: Int, $progress: Int, $status: MediaListStatus, $scoreRaw: Int) {
+        SaveMediaListEntry(mediaId: $mediaId, progress: $progress, status: $status, scoreRaw: $scoreRaw) { id }
+    }
+`;
+
+// Entries fetched from AniList waiting for confirmation in the preview dialog
+let pendingAniListEntries = [];
+
+// Attach event listener for DOMContentLoaded to fill the AniList settings inputs
+document.addEventListener('DOMContentLoaded', loadAniListSettings);
+
+// Attach event listeners to save the AniList settings when any of their inputs change
+['anilistUsername', 'anilistToken', 'anilistEndpoint'].forEach(id => {
+    document.getElementById(id).addEventListener('change', saveAniListSettings);
+});
+
+// Attach event listener for the AniList import button in the settings dialog
+document.getElementById('anilist-import').addEventListener('click', handleAniListImport);
+
+// Attach event listener for the AniList push button in the settings dialog
+document.getElementById('anilist-push').addEventListener('click', handleAniListPush);
+
+// Attach event listeners for the buttons of the AniList preview dialog
+document.getElementById('anilist-preview-cross-cancel').addEventListener('click', hideAniListPreview);
+document.getElementById('anilist-preview-cancel').addEventListener('click', hideAniListPreview);
+document.getElementById('anilist-preview-confirm').addEventListener('click', applyAniListImport);
+
+/**
+ * Loads the AniList settings from local storage and fills the settings inputs.
+ */
+function loadAniListSettings() {
+    chrome.storage.local.get({ anilistSettings: {} }, function (result) {
+        if (chrome.runtime.lastError) {
+            console.error('Error loading AniList settings:', chrome.runtime.lastError);
+            return;
+        }
+
+        const settings = result.anilistSettings;
+        document.getElementById('anilistUsername').value = settings.username || '';
+        document.getElementById('anilistToken').value = settings.token || '';
+        document.getElementById('anilistEndpoint').value = settings.endpoint || DEFAULT_ANILIST_ENDPOINT;
+    });
+}
+
+/**
+ * Saves the AniList settings from the settings inputs to local storage.
+ */
+function saveAniListSettings() {
+    chrome.storage.local.set({ anilistSettings: getAniListSettings() }, function () {
+        if (chrome.runtime.lastError) {
+            console.error('Error saving AniList settings:', chrome.runtime.lastError);
+        }
+    });
+}
+
+/**
+ * Reads the AniList settings from the settings inputs.
+ *
+ * @returns {Object} The username, token and endpoint.
+ */
+function getAniListSettings() {
+    return {
+        username: document.getElementById('anilistUsername').value.trim(),
+        token: document.getElementById('anilistToken').value.trim(),
+        endpoint: document.getElementById('anilistEndpoint').value.trim() || DEFAULT_ANILIST_ENDPOINT
+    };
+}
+
+/**
+ * Asks for permission to reach the configured endpoint when it is not the default AniList one.
+ *
+ * @param {string} endpoint - The GraphQL endpoint.
+ *
+ * @returns {Promise<boolean>} A promise that resolves to true if the endpoint can be reached.
+ */
+function requestEndpointPermission(endpoint) {
+    if (endpoint === DEFAULT_ANILIST_ENDPOINT) {
+        return Promise.resolve(true);
+    }
+    return chrome.permissions.request({ origins: [`${new URL(endpoint).origin}/*`] });
+}
+
+/**
+ * Sends a GraphQL request to the configured AniList endpoint.
+ *
+ * @param {Object} settings - The AniList settings (endpoint and optional token).
+ * @param {string} query - The GraphQL query or mutation.
+ * @param {Object} [variables={}] - The variables of the query.
+ *
+ * @returns {Promise<Object>} A promise that resolves to the `data` of the response.
+ *
+ * @throws {Error} If the request fails or the response contains GraphQL errors.
+ */
+async function anilistRequest(settings, query, variables = {}) {
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    if (settings.token) {
+        headers['Authorization'] = `Bearer ${settings.token}`;
+    }
+
+    const response = await fetch(settings.endpoint, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify({ query, variables })
+    });
+    const result = await response.json();
+
+    if (!response.ok || result.errors) {
+        const message = result.errors ? result.errors.map(error => error.message).join(', ') : response.statusText;
+        throw new Error(`AniList request failed: ${message}`);
+    }
+    return result.data;
+}
+
+/**
+ * Fetches the MANGA list of the configured user. Without a username, the owner of the token is used.
+ *
+ * @param {Object} settings - The AniList settings.
+ *
+ * @returns {Promise<Array>} A promise that resolves to the list entries, without duplicates.
+ */
+async function fetchAniListEntries(settings) {
+    const variables = {};
+    if (settings.username) {
+        variables.userName = settings.username;
+    } else {
+        const { Viewer } = await anilistRequest(settings, ANILIST_VIEWER_QUERY);
+        variables.userId = Viewer.id;
+    }
+
+    const { MediaListCollection } = await anilistRequest(settings, ANILIST_LIST_QUERY, variables);
+    const entries = MediaListCollection.lists.flatMap(list => list.entries);
+
+    // The same entry shows up once per custom list it belongs to
+    return entries.filter((entry, index) => entries.findIndex(e => e.mediaId === entry.mediaId) === index);
+}
+
+/**
+ * Converts an AniList fuzzy date into a date string, like the ones stored in mangas.
+ *
+ * @param {Object} fuzzyDate - The AniList date with year, month and day (any of them may be null).
+ *
+ * @returns {string|null} The formatted date, or null if the year is unknown.
+ */
+function fromAniListDate(fuzzyDate) {
+    if (!fuzzyDate || !fuzzyDate.year) return null;
+    return new Date(fuzzyDate.year, (fuzzyDate.month || 1) - 1, fuzzyDate.day || 1).toISOString();
+}
+
+/**
+ * Converts an AniList list entry into manga data.
+ *
+ * @param {Object} entry - The AniList list entry.
+ *
+ * @returns {Object} The manga data, including the AniList media ID.
+ */
+function mapAniListEntry(entry) {
+    const status = ANILIST_TO_STATUS[entry.status] || 'reading';
+    return {
+        anilistId: entry.mediaId,
+        title: entry.media.title.userPreferred,
+        image: entry.media.coverImage ? entry.media.coverImage.large : '',
+        link: entry.media.siteUrl,
+        readChapters: entry.progress || 0,
+        totalChapters: entry.media.chapters ?? null,
+        status: status,
+        score: entry.score || null,
+        dayAdded: fromAniListDate(entry.startedAt),
+        completedDate: status === 'completed' ? fromAniListDate(entry.completedAt) : null
+    };
+}
+
+/**
+ * Finds the manga in the library that corresponds to an AniList entry,
+ * by AniList ID or, for mangas that are not linked yet, by title.
+ *
+ * @param {Object} mangaData - The manga data mapped from AniList.
+ *
+ * @returns {Object|undefined} The local manga, or undefined if it is not in the library.
+ */
+function findAniListMatch(mangaData) {
+    return mangaList.find(manga => manga.anilistId === mangaData.anilistId) ||
+        mangaList.find(manga => !manga.anilistId && manga.title.toLowerCase() === mangaData.title.toLowerCase());
+}
+
+/**
+ * Returns the progress a manga has after importing an AniList entry. Chapters read locally
+ * and not pushed to AniList yet are kept.
+ *
+ * @param {Object} mangaData - The manga data mapped from AniList.
+ * @param {Object} [match] - The local manga, if it is in the library.
+ *
+ * @returns {number} The read chapters.
+ */
+function getAniListImportChapters(mangaData, match) {
+    return match ? Math.max(match.readChapters || 0, mangaData.readChapters) : mangaData.readChapters;
+}
+
+/**
+ * Fetches the AniList list of the configured user and shows it in the preview dialog.
+ */
+async function handleAniListImport() {
+    const settings = getAniListSettings();
+    if (!settings.username && !settings.token) {
+        showModal('modal-anilist-user-required');
+        return;
+    }
+
+    const button = document.getElementById('anilist-import');
+    button.disabled = true;
+    try {
+        if (!await requestEndpointPermission(settings.endpoint)) return;
+
+        const entries = await fetchAniListEntries(settings);
+        pendingAniListEntries = entries.map(mapAniListEntry).filter(mangaData => validateMangaData(mangaData) == null);
+
+        if (pendingAniListEntries.length === 0) {
+            showModal('modal-anilist-empty');
+            return;
+        }
+        showAniListPreview();
+    } catch (error) {
+        showModal('modal-anilist-error');
+        console.error('Error importing from AniList:', error);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Opens the AniList preview dialog with one selectable row per fetched entry.
+ */
+function showAniListPreview() {
+    const previewList = document.getElementById('anilist-preview-list');
+    previewList.innerHTML = '';
+
+    pendingAniListEntries.forEach((mangaData, index) => {
+        const match = findAniListMatch(mangaData);
+
+        const row = document.createElement('label');
+        row.classList.add('flex', 'items-center', 'space-x-2', 'mb-2', 'cursor-pointer');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.dataset.index = index;
+        checkbox.classList.add('anilist-preview-checkbox', 'mr-2', 'accent-light-primary-text', 'dark:accent-dark-primary-text');
+
+        const title = document.createElement('span');
+        title.classList.add('text-xs', 'font-medium', 'flex-grow');
+        title.textContent = mangaData.title;
+        title.title = mangaData.title;
+
+        const details = document.createElement('span');
+        details.classList.add('text-xs', 'text-light-secondary-text', 'dark:text-dark-secondary-text', 'whitespace-nowrap');
+        details.textContent = `Ch. ${getAniListImportChapters(mangaData, match)} · ${translate('status-' + mangaData.status)} · ` +
+            translate(match ? 'anilist-preview-update' : 'anilist-preview-new');
+
+        row.appendChild(checkbox);
+        row.appendChild(title);
+        row.appendChild(details);
+        previewList.appendChild(row);
+    });
+
+    toggleDialog(document.getElementById('anilist-preview-dialog'));
+}
+
+/**
+ * Closes the AniList preview dialog and discards the fetched entries.
+ */
+function hideAniListPreview() {
+    pendingAniListEntries = [];
+    const previewDialog = document.getElementById('anilist-preview-dialog');
+    if (!previewDialog.classList.contains('translate-x-full')) {
+        toggleDialog(previewDialog);
+    }
+}
+
+/**
+ * Merges the entries selected in the preview dialog into the library.
+ * Mangas already in the library are linked to AniList and take its status, score and progress,
+ * unless more chapters were read locally; the rest are added as new mangas.
+ */
+function applyAniListImport() {
+    const selectedIndexes = Array.from(document.querySelectorAll('.anilist-preview-checkbox:checked'))
+        .map(checkbox => +checkbox.dataset.index);
+    snapshotBeforeChange('import');
+    const checkpoint = captureHistory();
+
+    selectedIndexes.forEach(index => {
+        const { dayAdded, ...mangaData } = pendingAniListEntries[index];
+        const match = findAniListMatch(mangaData);
+
+        if (match) {
+            const { title, link, ...anilistData } = mangaData;
+            Object.assign(match, anilistData, {
+                image: match.image || anilistData.image,
+                readChapters: getAniListImportChapters(mangaData, match)
+            });
+        } else {
+            const manga = createManga(mangaData);
+            manga.dayAdded = dayAdded || manga.dayAdded;
+            mangaList.push(manga);
+        }
+    });
+
+    recordHistory('import', checkpoint);
+    hideAniListPreview();
+    refreshAndSaveMangas();
+    showModal('modal-anilist-imported', { count: selectedIndexes.length });
+}
+
+/**
+ * Pushes the progress, status and score of every manga linked to AniList that differs from the user's AniList list.
+ * Mangas with more chapters read on AniList are left out, and a manga without a score keeps its AniList score.
+ * Requires an access token.
+ */
+async function handleAniListPush() {
+    const settings = getAniListSettings();
+    if (!settings.token) {
+        showModal('modal-anilist-token-required');
+        return;
+    }
+
+    const button = document.getElementById('anilist-push');
+    button.disabled = true;
+    try {
+        if (!await requestEndpointPermission(settings.endpoint)) return;
+
+        const remoteEntries = await fetchAniListEntries(settings);
+        const changedMangas = [];
+        let skippedCount = 0;
+        mangaList.forEach(manga => {
+            if (!manga.anilistId) return;
+
+            const remote = remoteEntries.find(entry => entry.mediaId === manga.anilistId);
+            if (remote && remote.progress > (manga.readChapters || 0)) {
+                // Progress never moves backwards on AniList, e.g. from a device that is behind or after an undo
+                skippedCount++;
+            } else if (!remote ||
+                remote.progress !== manga.readChapters ||
+                remote.status !== STATUS_TO_ANILIST[manga.status] ||
+                (manga.score != null && (remote.score || null) !== manga.score)) {
+                changedMangas.push(manga);
+            }
+        });
+
+        // Sequential requests keep us under AniList's rate limit
+        for (const manga of changedMangas) {
+            const variables = {
+                mediaId: manga.anilistId,
+                progress: manga.readChapters,
+                status: STATUS_TO_ANILIST[manga.status]
+            };
+            // Without a local score, the AniList score is left as it is
+            if (manga.score != null) {
+                variables.scoreRaw = manga.score * 10;
+            }
+            await anilistRequest(settings, ANILIST_SAVE_MUTATION, variables);
+        }
+
+        showModal(skippedCount > 0 ? 'modal-anilist-pushed-skipped' : 'modal-anilist-pushed', {
+            count: changedMangas.length,
+            skipped: skippedCount
+        });
+    } catch (error) {
+        showModal('modal-anilist-error');
+        console.error('Error pushing to AniList:', error);
+    } finally {
+        button.disabled = false;
+    }
+}
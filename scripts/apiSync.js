@@ -0,0 +1,369 @@
+// Manga fields sent to and received from the sync API
+const API_SYNC_FIELDS = Object.values(SYNC_MANGA_FIELDS);
+
+// Times the queue is pushed in a single sync, since every conflict is merged and pushed again
+const API_SYNC_MAX_ATTEMPTS = 3;
+
+// Chains syncs with the API so a new one starts after the previous one has finished
+let apiSyncQueue = Promise.resolve();
+
+/**
+ * Creates an empty API sync state: the last server revision pulled, the revision of each synced manga
+ * and the queue of local changes waiting to be pushed.
+ *
+ * @returns {Object} The API sync state.
+ */
+function createApiSyncState() {
+    return { revision: 0, revisions: {}, queue: [] };
+}
+
+/**
+ * Queues the changes between two versions of the manga list, so they are pushed on the next sync with the API.
+ *
+ * @param {Array} previousList - The stored mangas.
+ * @param {Array} list - The mangas about to be stored.
+ * @param {Object} state - The API sync state, updated in place.
+ */
+function recordApiChanges(previousList, list, state) {
+    const previousById = new Map(previousList.map(manga => [manga.id, manga]));
+
+    list.forEach(manga => {
+        const previous = previousById.get(manga.id);
+        const fields = API_SYNC_FIELDS.filter(field => !previous || !isSameSyncValue(previous[field], manga[field]));
+        if (fields.length > 0) {
+            queueApiChange(state, manga.id, 'upsert', fields);
+        }
+        previousById.delete(manga.id);
+    });
+
+    previousById.forEach((manga, id) => queueApiChange(state, id, 'delete', []));
+}
+
+/**
+ * Adds a change to the queue, merging it with the change already queued for the same manga.
+ * Each merge increases the version of the queued change, so a push of an older version does not remove it.
+ *
+ * @param {Object} state - The API sync state, updated in place.
+ * @param {string} id - The manga ID.
+ * @param {string} op - 'upsert' for additions and edits, 'delete' for deletions.
+ * @param {Array<string>} fields - The fields changed by an upsert.
+ */
+function queueApiChange(state, id, op, fields) {
+    const entry = state.queue.find(change => change.id === id);
+    if (!entry) {
+        state.queue.push({ id, op, fields, version: 0 });
+        return;
+    }
+
+    entry.version++;
+    if (op === 'delete') {
+        entry.op = 'delete';
+        entry.fields = [];
+    } else if (entry.op === 'delete') {
+        // Added back after being deleted, so the whole manga is sent again
+        entry.op = 'upsert';
+        entry.fields = API_SYNC_FIELDS.slice();
+    } else {
+        entry.fields = [...new Set([...entry.fields, ...fields])];
+    }
+}
+
+/**
+ * Syncs the library with the configured API: pulls the changes made on other devices, then pushes the queued ones.
+ * The outcome is saved as `apiSyncStatus` so every open view can show it.
+ *
+ * @returns {Promise<string|null>} A promise that resolves to null on success, or to the error code
+ * ('offline', 'auth' or 'server'). Changes that could not be pushed stay queued for the next sync.
+ */
+function syncWithApi() {
+    const result = apiSyncQueue.then(runApiSync);
+    apiSyncQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Runs a single sync with the API. See `syncWithApi`.
+ *
+ * @returns {Promise<string|null>} A promise that resolves to null on success, or to the error code.
+ */
+async function runApiSync() {
+    const { apiSyncSettings: settings } = await chrome.storage.local.get({ apiSyncSettings: {} });
+    if (!settings.enabled || !settings.endpoint) return null;
+
+    let error = null;
+    try {
+        if (!navigator.onLine) {
+            throw createApiSyncError('offline', 'The browser is offline');
+        }
+
+        const listChanged = await pullApiChanges(settings);
+        await queueUnsyncedMangas();
+
+        for (let attempt = 0; attempt < API_SYNC_MAX_ATTEMPTS; attempt++) {
+            const conflicts = await pushApiQueue(settings);
+            if (conflicts === 0) break;
+        }
+
+        // Changes from the server are passed on to chrome.storage.sync too
+        if (listChanged) {
+            requestSync();
+        }
+    } catch (syncError) {
+        if (!syncError.code) throw syncError;
+        console.error('Error syncing with the API:', syncError);
+        error = syncError.code;
+    }
+
+    const { apiSyncStatus } = await chrome.storage.local.get({ apiSyncStatus: {} });
+    await chrome.storage.local.set({
+        apiSyncStatus: { lastSyncedAt: error ? apiSyncStatus.lastSyncedAt : Date.now(), error: error }
+    });
+    return error;
+}
+
+/**
+ * Fetches the changes made since the last pulled revision and merges them into the library.
+ *
+ * @param {Object} settings - The API sync settings (endpoint and token).
+ *
+ * @returns {Promise<boolean>} A promise that resolves to true if the manga list changed.
+ */
+async function pullApiChanges(settings) {
+    const { apiSyncState } = await chrome.storage.local.get({ apiSyncState: createApiSyncState() });
+    const { data } = await apiSyncRequest(settings, 'GET', `/mangas?since=${apiSyncState.revision}`);
+    if (!Array.isArray(data.changes)) {
+        throw createApiSyncError('server', 'Sync API sent a pull response without changes');
+    }
+    return applyApiChanges(data.changes, data.revision);
+}
+
+/**
+ * Queues every manga the server has never received, such as the library that existed before the API was set up.
+ *
+ * @returns {Promise} A promise that resolves once the queue is saved.
+ */
+function queueUnsyncedMangas() {
+    return queueSyncTask(async () => {
+        const { mangaList = [], apiSyncState = createApiSyncState() } = await chrome.storage.local.get(['mangaList', 'apiSyncState']);
+
+        const unsynced = mangaList.filter(manga => !(manga.id in apiSyncState.revisions)
+            && !apiSyncState.queue.some(change => change.id === manga.id));
+        if (unsynced.length === 0) return;
+
+        unsynced.forEach(manga => queueApiChange(apiSyncState, manga.id, 'upsert', API_SYNC_FIELDS.slice()));
+        await chrome.storage.local.set({ apiSyncState });
+    });
+}
+
+/**
+ * Pushes the queued changes in order. Rejected changes are merged with the server version
+ * and stay queued, so they are pushed again with the new revision.
+ *
+ * @param {Object} settings - The API sync settings (endpoint and token).
+ *
+ * @returns {Promise<number>} A promise that resolves to the number of conflicts.
+ */
+async function pushApiQueue(settings) {
+    const { mangaList = [], apiSyncState = createApiSyncState() } = await chrome.storage.local.get(['mangaList', 'apiSyncState']);
+    let conflicts = 0;
+
+    for (const change of apiSyncState.queue) {
+        const path = `/mangas/${encodeURIComponent(change.id)}`;
+        const baseRevision = apiSyncState.revisions[change.id] || 0;
+        let response;
+
+        if (change.op === 'delete') {
+            response = await apiSyncRequest(settings, 'DELETE', `${path}?baseRevision=${baseRevision}`);
+        } else {
+            const manga = mangaList.find(m => m.id === change.id);
+            if (!manga) continue;
+            response = await apiSyncRequest(settings, 'PUT', path, { baseRevision, manga: toApiManga(manga) });
+        }
+
+        if (response.status === 409) {
+            conflicts++;
+            await applyApiChanges([{ id: change.id, ...response.data }]);
+        } else {
+            await completeApiChange(change, response.data.revision);
+        }
+    }
+    return conflicts;
+}
+
+/**
+ * Removes a pushed change from the queue, unless the manga changed again while it was being pushed,
+ * and records the revision the server gave it.
+ *
+ * @param {Object} change - The pushed change.
+ * @param {number} revision - The revision of the manga on the server.
+ *
+ * @returns {Promise} A promise that resolves once the state is saved.
+ */
+function completeApiChange(change, revision) {
+    return queueSyncTask(async () => {
+        const { apiSyncState = createApiSyncState() } = await chrome.storage.local.get('apiSyncState');
+
+        apiSyncState.queue = apiSyncState.queue.filter(entry => entry.id !== change.id || entry.version !== change.version);
+        if (change.op === 'delete') {
+            delete apiSyncState.revisions[change.id];
+        } else {
+            apiSyncState.revisions[change.id] = revision;
+        }
+        await chrome.storage.local.set({ apiSyncState });
+    });
+}
+
+/**
+ * Merges changes from the server into the library. Changes made here that are still queued are kept,
+ * and the change times are stamped so the merge also reaches chrome.storage.sync.
+ *
+ * @param {Array} changes - The server changes, each with `id`, `revision`, `deleted` and `manga`.
+ * @param {number} [revision] - The server revision the changes are up to, for pulls.
+ *
+ * @returns {Promise<boolean>} A promise that resolves to true if the manga list changed.
+ */
+function applyApiChanges(changes, revision) {
+    return queueSyncTask(async () => {
+        const stored = await chrome.storage.local.get(['mangaList', 'schemaVersion', 'syncState', 'apiSyncState']);
+        const storedList = stored.mangaList || [];
+        const apiSyncState = stored.apiSyncState || createApiSyncState();
+
+        const list = changes.reduce((current, change) => reconcileApiChange(current, change, apiSyncState),
+            migrateMangaList(storedList, stored.schemaVersion || 0));
+        if (revision !== undefined) {
+            apiSyncState.revision = Math.max(apiSyncState.revision, revision);
+        }
+
+        const items = { apiSyncState };
+        const listChanged = !isSameSyncValue(list, storedList);
+        if (listChanged) {
+            const syncState = stored.syncState || createSyncState();
+            stampChanges(storedList, list, syncState.mangas, SYNC_MANGA_FIELDS, Date.now());
+
+            // Saved together with the status so views know the list comes from a sync
+            const { apiSyncStatus } = await chrome.storage.local.get({ apiSyncStatus: {} });
+            Object.assign(items, {
+                mangaList: list,
+                schemaVersion: CURRENT_SCHEMA_VERSION,
+                syncState,
+                apiSyncStatus: { ...apiSyncStatus, lastSyncedAt: Date.now() }
+            });
+        }
+        await chrome.storage.local.set(items);
+        return listChanged;
+    });
+}
+
+/**
+ * Merges a single server change into the manga list. Fields with queued local changes keep their local value,
+ * a local deletion wins over an edit made elsewhere, and a local edit brings back a manga deleted elsewhere.
+ *
+ * @param {Array} list - The manga list.
+ * @param {Object} change - The server change (`id`, `revision`, `deleted` and `manga`).
+ * @param {Object} state - The API sync state, updated in place.
+ *
+ * @returns {Array} The merged manga list.
+ */
+function reconcileApiChange(list, change, state) {
+    const entry = state.queue.find(queued => queued.id === change.id);
+    const local = list.find(manga => manga.id === change.id);
+
+    if (change.deleted) {
+        if (entry && entry.op === 'upsert' && local) {
+            queueApiChange(state, change.id, 'upsert', API_SYNC_FIELDS.slice());
+            state.revisions[change.id] = change.revision;
+            return list;
+        }
+        state.queue = state.queue.filter(queued => queued !== entry);
+        delete state.revisions[change.id];
+        return list.filter(manga => manga !== local);
+    }
+
+    state.revisions[change.id] = change.revision;
+    if (entry && entry.op === 'delete') return list;
+
+    const keptFields = entry ? entry.fields : [];
+    const merged = { ...SYNC_COLLECTIONS.mangas.defaults, ...local, id: change.id };
+    API_SYNC_FIELDS.forEach(field => {
+        if (!keptFields.includes(field) && change.manga[field] !== undefined) {
+            merged[field] = change.manga[field];
+        }
+    });
+
+    return local ? list.map(manga => manga === local ? merged : manga) : [...list, merged];
+}
+
+/**
+ * Picks the synced fields of a manga, as sent to the API.
+ *
+ * @param {Object} manga - The manga object.
+ *
+ * @returns {Object} The manga with its ID and synced fields.
+ */
+function toApiManga(manga) {
+    const apiManga = { id: manga.id };
+    API_SYNC_FIELDS.forEach(field => {
+        if (manga[field] !== undefined) apiManga[field] = manga[field];
+    });
+    return apiManga;
+}
+
+/**
+ * Sends a request to the sync API, authenticated with the configured token.
+ *
+ * @param {Object} settings - The API sync settings (endpoint and token).
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The path, relative to the endpoint.
+ * @param {Object} [body] - The JSON body.
+ *
+ * @returns {Promise<Object>} A promise that resolves to the HTTP `status` and the parsed `data`. Conflicts (409) resolve too.
+ *
+ * @throws {Error} An error with a `code` ('offline', 'auth' or 'server') if the request fails.
+ */
+async function apiSyncRequest(settings, method, path, body) {
+    const headers = { 'Accept': 'application/json' };
+    if (settings.token) {
+        headers['Authorization'] = `Bearer ${settings.token}`;
+    }
+    if (body) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+        response = await fetch(`${settings.endpoint.replace(/\/+$/, '')}${path}`, {
+            method: method,
+            headers: headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+    } catch (error) {
+        throw createApiSyncError('offline', `Sync API unreachable: ${error.message}`);
+    }
+
+    if (response.status === 401 || response.status === 403) {
+        throw createApiSyncError('auth', `Sync API rejected the token: ${response.status}`);
+    }
+    if (!response.ok && response.status !== 409) {
+        throw createApiSyncError('server', `Sync API request failed: ${response.status} ${response.statusText}`);
+    }
+
+    try {
+        return { status: response.status, data: await response.json() };
+    } catch (error) {
+        throw createApiSyncError('server', `Sync API sent an invalid response: ${error.message}`);
+    }
+}
+
+/**
+ * Creates an error of the sync API, identified by the code shown to the user.
+ *
+ * @param {string} code - The error code ('offline', 'auth' or 'server').
+ * @param {string} message - The error message.
+ *
+ * @returns {Error} The error, with its `code`.
+ */
+function createApiSyncError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
@@ -0,0 +1,125 @@
+importScripts('dates.js', 'migrations.js', 'mangaModel.js', 'syncEngine.js', 'apiSync.js', 'snapshotStore.js', 'readingLog.js', 'chapterDetector.js', 'commands.js', 'contextMenus.js');
+
+// Badge colors used to confirm actions performed without the popup
+const BADGE_SUCCESS_COLOR = '#191919';
+const BADGE_ERROR_COLOR = '#EB2828';
+
+// Attach event listener for tab updates to detect chapter progress once a page has finished loading
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.status !== 'complete' || !tab.url || !tab.url.startsWith('http')) return;
+
+    handleTabNavigation(tab).catch(error => {
+        console.error('Error detecting chapter progress:', error);
+    });
+});
+
+// Attach event listener for changes made by other devices to the synced library, to merge them even while the popup is closed
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && Object.keys(changes).some(key => key.startsWith(SYNC_KEY_PREFIX))) {
+        requestSync();
+    }
+});
+
+// Attach event listener for the snapshot alarm to keep a rolling history of the library
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name !== SNAPSHOT_ALARM) return;
+
+    takeSnapshot('scheduled').catch(error => {
+        console.error('Error taking a library snapshot:', error);
+    });
+});
+
+// The alarm survives restarts, so it is only created when missing to keep its schedule
+chrome.alarms.get(SNAPSHOT_ALARM).then(alarm => {
+    if (!alarm) {
+        chrome.alarms.create(SNAPSHOT_ALARM, { delayInMinutes: 1, periodInMinutes: SNAPSHOT_INTERVAL_MINUTES });
+    }
+});
+
+// Attach event listener for the connection coming back, to push the changes queued for the sync API while offline
+self.addEventListener('online', () => requestSync(0));
+
+// Attach event listener for the image picker of the active tab, to bring back the manga form once it is done
+chrome.runtime.onMessage.addListener((message) => {
+    if (message.type !== 'image-picked' && message.type !== 'image-picker-cancelled') return;
+
+    handleImagePickerMessage(message).catch(error => {
+        console.error('Error handling the image picker result:', error);
+    });
+});
+
+/**
+ * Updates the read chapters of the tracked manga the visited tab belongs to.
+ * Progress only moves forward, so revisiting an older chapter does not undo it.
+ *
+ * @param {chrome.tabs.Tab} tab - The tab that finished loading.
+ */
+async function handleTabNavigation(tab) {
+    await storeMangas(storedMangas => {
+        const manga = findTrackedManga(storedMangas, tab.url, tab.title);
+        if (!manga) return false;
+
+        const detectedChapter = extractChapterNumber(tab.url, tab.title);
+        if (detectedChapter === null || detectedChapter <= (parseInt(manga.readChapters, 10) || 0)) return false;
+
+        manga.readChapters = detectedChapter;
+        manga.lastRead = new Date().toISOString();
+    });
+}
+
+/**
+ * Shows a short confirmation text on the extension's action badge and clears it after a moment.
+ *
+ * @param {string} text - The badge text (up to 4 characters).
+ * @param {string} color - The badge background color.
+ */
+function showBadge(text, color) {
+    chrome.action.setBadgeBackgroundColor({ color });
+    chrome.action.setBadgeText({ text });
+    setTimeout(() => chrome.action.setBadgeText({ text: '' }), 2000);
+}
+
+/**
+ * Keeps the image picked on the page for the manga form, then reopens the popup, which brings the form back with it.
+ *
+ * @param {Object} message - The message of the image picker, with the picked `url` unless it was cancelled.
+ */
+async function handleImagePickerMessage(message) {
+    if (message.type === 'image-picked') {
+        await chrome.storage.local.set({ pickedImage: message.url });
+    }
+    await handleOpenLibraryCommand();
+}
+
+/**
+ * Loads the manga list from Chrome's local storage, migrated to the current schema.
+ *
+ * @returns {Promise<Array>} A promise that resolves to the stored manga list.
+ */
+function loadStoredMangas() {
+    return new Promise((resolve, reject) => {
+        chrome.storage.local.get(['mangaList', 'schemaVersion'], (result) => {
+            if (chrome.runtime.lastError) {
+                reject(chrome.runtime.lastError);
+            } else {
+                resolve(migrateMangaList(result.mangaList || [], result.schemaVersion || 0));
+            }
+        });
+    });
+}
+
+/**
+ * Changes the manga list stored in Chrome's local storage, read again when the change runs so it never
+ * overwrites a save made meanwhile, and schedules a sync of the changes.
+ *
+ * @param {Function} update - Changes the stored mangas in place, or returns false to leave them as they are.
+ *
+ * @returns {Promise<*>} A promise that resolves to the result of the update once the list is saved.
+ */
+async function storeMangas(update) {
+    const result = await updateStoredMangas(update);
+    if (result !== false) {
+        requestSync();
+    }
+    return result;
+}
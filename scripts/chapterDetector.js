@@ -0,0 +1,128 @@
+/**
+ * Matches chapter markers such as "chapter-12", "ch.12", "Capítulo 12" or "ep_12" in URLs and page titles.
+ */
+const CHAPTER_PATTERN = /\b(?:chapter|chap|ch|cap[ií]tulo|cap|episode|ep)\.?[\s_\-\/]*(\d+(?:\.\d+)?)\b/i;
+
+/**
+ * Extracts the chapter number from a URL, falling back to the page title.
+ * Decimal chapters (e.g. 12.5) are rounded down.
+ *
+ * @param {string} url - The visited URL.
+ * @param {string} [pageTitle=''] - The title of the visited page.
+ *
+ * @returns {number|null} The detected chapter number, or null if none was found.
+ */
+function extractChapterNumber(url, pageTitle = '') {
+    const { pathname, search } = new URL(url);
+    const sources = [decodeURIComponent(pathname + search), pageTitle];
+
+    for (const source of sources) {
+        const match = source.match(CHAPTER_PATTERN);
+        if (match) {
+            return Math.floor(parseFloat(match[1]));
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the auto-tracked manga that a visited page belongs to.
+ *
+ * @param {Array} list - The manga list to search.
+ * @param {string} url - The visited URL.
+ * @param {string} [pageTitle=''] - The title of the visited page.
+ *
+ * @returns {Object|null} The matching manga, or null if the page does not belong to any tracked manga.
+ */
+function findTrackedManga(list, url, pageTitle = '') {
+    return findMangaByPage(list.filter(manga => manga.autoTrack), url, pageTitle);
+}
+
+/**
+ * Finds the manga that a visited page belongs to.
+ * Only mangas on the same host are considered; among them, the one whose series path
+ * (its link without the chapter part) prefixes the visited path wins, and the page title
+ * is used for sites whose chapter URLs do not contain the series name.
+ *
+ * @param {Array} list - The manga list to search.
+ * @param {string} url - The visited URL.
+ * @param {string} [pageTitle=''] - The title of the visited page.
+ *
+ * @returns {Object|null} The matching manga, or null if the page does not belong to any manga.
+ */
+function findMangaByPage(list, url, pageTitle = '') {
+    const visited = new URL(url);
+    const visitedPath = decodeURIComponent(visited.pathname).toLowerCase();
+    const visitedText = normalizeText(`${pageTitle} ${visitedPath}`);
+
+    let bestManga = null;
+    let bestScore = 0;
+
+    list.filter(manga => getHostname(manga.link) === visited.hostname).forEach(manga => {
+        const mangaPath = getSeriesPath(manga.link);
+        const mangaTitle = normalizeText(manga.title);
+
+        let score = 0;
+        if (mangaPath.length > 1 && visitedPath.startsWith(mangaPath)) {
+            score = mangaPath.length;
+        } else if (mangaTitle.length >= 3 && visitedText.includes(mangaTitle)) {
+            score = mangaTitle.length;
+        }
+
+        if (score > bestScore) {
+            bestScore = score;
+            bestManga = manga;
+        }
+    });
+
+    return bestManga;
+}
+
+/**
+ * Returns the path of a manga link up to its chapter marker, without trailing separators.
+ *
+ * @param {string} link - The manga link.
+ *
+ * @returns {string} The lowercased series path, or an empty string if the link is not a valid URL.
+ */
+function getSeriesPath(link) {
+    try {
+        const path = decodeURIComponent(new URL(link).pathname).toLowerCase();
+        const match = path.match(CHAPTER_PATTERN);
+        const seriesPath = match ? path.slice(0, match.index) : path;
+        return seriesPath.replace(/[\s_\-\/]+$/, '');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Returns the hostname of a link.
+ *
+ * @param {string} link - The link to parse.
+ *
+ * @returns {string} The hostname, or an empty string if the link is not a valid URL.
+ */
+function getHostname(link) {
+    try {
+        return new URL(link).hostname;
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Normalizes text for loose comparisons: lowercase, no accents and single spaces between words.
+ *
+ * @param {string} text - The text to normalize.
+ *
+ * @returns {string} The normalized text.
+ */
+function normalizeText(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
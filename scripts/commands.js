@@ -0,0 +1,84 @@
+// Attach event listener for the keyboard commands declared in the manifest
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (!commandActions[command]) return;
+
+    commandActions[command](tab).catch(error => {
+        console.error(`Error running command '${command}':`, error);
+        showBadge('!', BADGE_ERROR_COLOR);
+    });
+});
+
+/**
+ * Handlers for each keyboard command, keyed by the command name in the manifest.
+ */
+const commandActions = {
+    'add-current-tab': (tab) => handleAddTabCommand(tab),
+    'increment-chapter': (tab) => handleIncrementChapterCommand(tab),
+    'open-library': () => handleOpenLibraryCommand()
+};
+
+/**
+ * Adds the given tab to the library, using the same defaults as an empty addition form:
+ * the tab title (made unique) and the tab URL.
+ *
+ * @param {chrome.tabs.Tab} tab - The active tab when the command was triggered.
+ */
+async function handleAddTabCommand(tab) {
+    if (!tab || !tab.url) {
+        showBadge('!', BADGE_ERROR_COLOR);
+        return;
+    }
+
+    const added = await storeMangas(storedMangas => {
+        const mangaData = {
+            title: generateUniqueTitle(tab.title || tab.url, storedMangas),
+            link: new URL(tab.url).href
+        };
+        if (validateMangaData(mangaData)) return false;
+
+        storedMangas.push(createManga(mangaData));
+    });
+
+    if (added === false) {
+        showBadge('!', BADGE_ERROR_COLOR);
+        return;
+    }
+    showBadge('+', BADGE_SUCCESS_COLOR);
+}
+
+/**
+ * Adds one read chapter to the manga the given tab belongs to.
+ *
+ * @param {chrome.tabs.Tab} tab - The active tab when the command was triggered.
+ */
+async function handleIncrementChapterCommand(tab) {
+    if (!tab || !tab.url || !tab.url.startsWith('http')) {
+        showBadge('!', BADGE_ERROR_COLOR);
+        return;
+    }
+
+    const updated = await storeMangas(storedMangas => {
+        const manga = findMangaByPage(storedMangas, tab.url, tab.title);
+        if (!manga) return false;
+
+        manga.readChapters = (parseInt(manga.readChapters, 10) || 0) + 1;
+        manga.lastRead = new Date().toISOString();
+    });
+
+    if (updated === false) {
+        showBadge('?', BADGE_ERROR_COLOR);
+        return;
+    }
+    showBadge('+1', BADGE_SUCCESS_COLOR);
+}
+
+/**
+ * Opens the library popup, or the library in a new tab if the popup cannot be opened.
+ */
+async function handleOpenLibraryCommand() {
+    try {
+        await chrome.action.openPopup();
+    } catch (error) {
+        await chrome.tabs.create({ url: chrome.runtime.getURL('index.html') });
+    }
+}
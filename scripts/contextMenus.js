@@ -0,0 +1,197 @@
+// Number of recent mangas offered in the "Use image as cover for…" submenu
+const COVER_MENU_SIZE = 10;
+
+// Prefix of the submenu item IDs, followed by the ID of the manga
+const COVER_MENU_PREFIX = 'cover:';
+
+// Attach event listener for the extension installation or update to create the context menus
+chrome.runtime.onInstalled.addListener(() => rebuildContextMenus());
+
+// Attach event listener for storage changes to keep the recent mangas submenu and the menu language up to date.
+// Most manga changes, such as chapter updates of a manga already in the submenu, leave the menus as they are.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (changes.preferredLanguage || (changes.mangaList && !isSameSyncValue(
+        getCoverMenuEntries(changes.mangaList.oldValue || []),
+        getCoverMenuEntries(changes.mangaList.newValue || [])
+    ))) {
+        rebuildContextMenus();
+    }
+});
+
+// Attach event listener for context menu clicks
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    handleContextMenuClick(info, tab).catch(error => {
+        console.error('Error handling context menu click:', error);
+        showBadge('!', BADGE_ERROR_COLOR);
+    });
+});
+
+// Chains menu rebuilds so overlapping storage changes do not create duplicated items
+let contextMenuBuild = Promise.resolve();
+
+// Popup translations, fetched once while the service worker runs
+let menuTranslations = null;
+
+/**
+ * Schedules a rebuild of every context menu entry.
+ */
+function rebuildContextMenus() {
+    contextMenuBuild = contextMenuBuild
+        .then(buildContextMenus)
+        .catch(error => console.error('Error building context menus:', error));
+}
+
+/**
+ * Removes and recreates the context menu entries for pages, links and images,
+ * including the submenu of recent mangas for the image cover entry.
+ */
+async function buildContextMenus() {
+    const [storedMangas, translateMenu] = await Promise.all([loadStoredMangas(), loadMenuTranslator()]);
+
+    await chrome.contextMenus.removeAll();
+
+    chrome.contextMenus.create({ id: 'add-page', title: translateMenu('context-menu-add-page'), contexts: ['page'] });
+    chrome.contextMenus.create({ id: 'add-link', title: translateMenu('context-menu-add-link'), contexts: ['link'] });
+    chrome.contextMenus.create({ id: 'use-image-as-cover', title: translateMenu('context-menu-use-image-as-cover'), contexts: ['image'] });
+
+    const recentMangas = getCoverMenuEntries(storedMangas);
+
+    if (recentMangas.length === 0) {
+        chrome.contextMenus.create({
+            id: 'no-mangas',
+            parentId: 'use-image-as-cover',
+            title: translateMenu('context-menu-no-mangas'),
+            contexts: ['image'],
+            enabled: false
+        });
+    }
+
+    recentMangas.forEach(manga => {
+        chrome.contextMenus.create({
+            id: COVER_MENU_PREFIX + manga.id,
+            parentId: 'use-image-as-cover',
+            title: manga.title,
+            contexts: ['image']
+        });
+    });
+}
+
+/**
+ * Returns the recently read mangas offered in the "Use image as cover for…" submenu.
+ *
+ * @param {Array} mangas - The stored mangas.
+ *
+ * @returns {Array<Object>} The ID and title of up to `COVER_MENU_SIZE` mangas, most recently read first.
+ */
+function getCoverMenuEntries(mangas) {
+    return [...mangas]
+        .sort((a, b) => getStoredTime(b.lastRead) - getStoredTime(a.lastRead))
+        .slice(0, COVER_MENU_SIZE)
+        .map(manga => ({ id: manga.id, title: manga.title }));
+}
+
+/**
+ * Handles a click on any of the extension's context menu entries.
+ *
+ * @param {chrome.contextMenus.OnClickData} info - Information about the clicked entry and its context.
+ * @param {chrome.tabs.Tab} tab - The tab where the click happened.
+ */
+async function handleContextMenuClick(info, tab) {
+    if (info.menuItemId === 'add-page') {
+        await addMangaFromContext(tab && tab.title ? tab.title : titleFromUrl(info.pageUrl), info.pageUrl);
+    } else if (info.menuItemId === 'add-link') {
+        await addMangaFromContext(info.selectionText || titleFromUrl(info.linkUrl), info.linkUrl);
+    } else if (String(info.menuItemId).startsWith(COVER_MENU_PREFIX)) {
+        await setMangaCover(String(info.menuItemId).slice(COVER_MENU_PREFIX.length), info.srcUrl);
+    }
+}
+
+/**
+ * Adds a new manga with the given title and link to the library.
+ *
+ * @param {string} title - The title of the new manga, made unique before saving.
+ * @param {string} link - The link of the new manga.
+ */
+async function addMangaFromContext(title, link) {
+    const added = await storeMangas(storedMangas => {
+        const mangaData = {
+            title: generateUniqueTitle(title.trim(), storedMangas),
+            link: link
+        };
+        if (validateMangaData(mangaData)) return false;
+
+        storedMangas.push(createManga(mangaData));
+    });
+
+    if (added === false) {
+        showBadge('!', BADGE_ERROR_COLOR);
+        return;
+    }
+    showBadge('+', BADGE_SUCCESS_COLOR);
+}
+
+/**
+ * Sets an image as the cover of an existing manga.
+ *
+ * @param {string} mangaId - The ID of the manga to update.
+ * @param {string} imageUrl - The URL of the clicked image. Only http(s) images are accepted.
+ */
+async function setMangaCover(mangaId, imageUrl) {
+    const updated = await storeMangas(storedMangas => {
+        const manga = storedMangas.find(m => m.id === mangaId);
+        if (!manga || !imageUrl || !/^https?:/.test(imageUrl) || validateMangaData({ ...manga, image: imageUrl })) return false;
+
+        Object.assign(manga, { image: imageUrl, isImageWorking: true });
+    });
+
+    if (updated === false) {
+        showBadge('!', BADGE_ERROR_COLOR);
+        return;
+    }
+    showBadge('✓', BADGE_SUCCESS_COLOR);
+}
+
+/**
+ * Builds a readable title from a URL, using the last segment of its series path
+ * (e.g. "https://site.com/manga/one-piece/chapter-3" becomes "One Piece").
+ *
+ * @param {string} url - The URL to build the title from.
+ *
+ * @returns {string} The generated title, or the hostname if the path has no usable segment.
+ */
+function titleFromUrl(url) {
+    const segments = getSeriesPath(url).split('/').filter(Boolean);
+    const slug = segments.length > 0 ? segments[segments.length - 1] : '';
+    const words = slug.split(/[\s_\-.]+/).filter(Boolean);
+
+    if (words.length === 0) {
+        return getHostname(url);
+    }
+    return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Loads the popup translations in the preferred language so menu titles match the popup.
+ * The translations file is only fetched the first time.
+ *
+ * @returns {Promise<Function>} A promise that resolves to a function translating a key, or returning the key if not found.
+ */
+async function loadMenuTranslator() {
+    if (!menuTranslations) {
+        menuTranslations = fetch(chrome.runtime.getURL('data/translations.json')).then(response => response.json());
+        menuTranslations.catch(() => { menuTranslations = null; });
+    }
+
+    const [translations, { preferredLanguage }] = await Promise.all([
+        menuTranslations,
+        chrome.storage.local.get('preferredLanguage')
+    ]);
+
+    let language = preferredLanguage || navigator.language.split('-')[0];
+    if (!translations[language]) {
+        language = 'en';
+    }
+    return (key) => translations[language][key] || key;
+}
@@ -0,0 +1,386 @@
+// Side of the square thumbnails covers are stored as, in pixels (twice the size shown, for high density screens)
+const COVER_SIZE = 128;
+
+// Format and quality of the stored thumbnails
+const COVER_TYPE = 'image/webp';
+const COVER_QUALITY = 0.85;
+
+// Optional host permissions needed to download covers from any site
+const COVER_ORIGINS = ['https://*/*', 'http://*/*'];
+
+// Object URLs of the stored covers shown in the popup, keyed by manga ID, each with the image URL it was stored for
+const coverUrls = new Map();
+
+// Covers being loaded or downloaded, keyed by manga ID, so each one is only requested once at a time
+const coverRequests = new Map();
+
+// Image URLs that could not be downloaded since the popup was opened, so they are not tried again on every render
+const failedCoverSources = new Set();
+
+// Whether covers can be downloaded, checked on first use
+let coverPermission = null;
+
+// Prunes the cover cache and shows its new usage once the covers stored in a row settle, so a batch
+// of downloads reads the cache once instead of once per cover
+const scheduleCoverPrune = debounce(pruneCoverCache, 500);
+
+// Thumbnail of the image file picked in the manga form, stored as the cover once the form is saved,
+// and its object URL shown in the form preview
+let pendingCoverUpload = null;
+let pendingCoverPreview = null;
+
+// Attach event listener for DOMContentLoaded to show the usage of the cover cache
+document.addEventListener('DOMContentLoaded', renderCoverCacheStatus);
+
+// Attach event listeners for the cover buttons in the settings dialog
+document.getElementById('cover-permission').addEventListener('click', requestCoverPermission);
+document.getElementById('cover-cache-clear').addEventListener('click', handleCoverCacheClear);
+
+// Attach event listeners for uploading and refreshing covers in the manga form
+document.getElementById('cover-upload').addEventListener('change', handleCoverUpload);
+document.getElementById('cover-refresh').addEventListener('click', handleCoverRefresh);
+
+// Attach event listener for the image link input to preview the typed image
+document.getElementById('image').addEventListener('input', debounce(renderCoverPreview, 300));
+
+// Attach event listener for the cover preview to show the fallback image when the image cannot be loaded
+document.getElementById('cover-preview').addEventListener('error', (event) => {
+    if (event.target.getAttribute('src') !== handleImageTheme()) {
+        event.target.src = handleImageTheme();
+    }
+});
+
+/**
+ * Returns the stored cover of a manga, if it was already loaded and is still current.
+ *
+ * @param {Object} manga - The manga object.
+ *
+ * @returns {string|null} The object URL of the cover, or null if there is none yet.
+ */
+function getCoverSrc(manga) {
+    const cover = coverUrls.get(manga.id);
+    return cover && cover.source === (manga.image || '') ? cover.url : null;
+}
+
+/**
+ * Loads the stored cover of a manga, or downloads it if there is none or the image URL of the manga changed
+ * since it was stored, and shows it on the manga item.
+ *
+ * @param {Object} manga - The manga object.
+ *
+ * @returns {Promise<string|null>} A promise that resolves to the object URL of the cover, or null if there is none.
+ */
+function requestCover(manga) {
+    if (!coverRequests.has(manga.id)) {
+        const request = loadCover(manga)
+            .catch(error => {
+                console.error('Error loading the cover:', error);
+                return null;
+            })
+            .finally(() => coverRequests.delete(manga.id));
+        coverRequests.set(manga.id, request);
+    }
+    return coverRequests.get(manga.id);
+}
+
+/**
+ * Loads the stored cover of a manga, downloading it when needed, and shows it.
+ *
+ * @param {Object} manga - The manga object.
+ *
+ * @returns {Promise<string|null>} A promise that resolves to the object URL of the cover, or null if there is none.
+ */
+async function loadCover(manga) {
+    let record = await getStoredCover(manga.id);
+    if (!record || record.source !== (manga.image || '')) {
+        record = await downloadCover(manga);
+    }
+    return record ? showCover(manga.id, record) : null;
+}
+
+/**
+ * Downloads the image of a manga and stores it as its cover, resized to a thumbnail.
+ * Nothing is downloaded without the host permissions, or if the image already failed to download.
+ *
+ * @param {Object} manga - The manga object.
+ *
+ * @returns {Promise<Object|null>} A promise that resolves to the stored cover record, or null if it could not be downloaded.
+ */
+async function downloadCover(manga) {
+    const source = manga.image || '';
+    if (!/^https?:\/\//i.test(source) || failedCoverSources.has(source) || !(await hasCoverPermission())) return null;
+
+    try {
+        const response = await fetch(source, { credentials: 'omit', referrerPolicy: 'no-referrer' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const record = await storeCover(manga.id, await resizeCover(await response.blob()), source, false);
+        scheduleCoverPrune();
+        return record;
+    } catch (error) {
+        failedCoverSources.add(source);
+        console.warn(`Could not download the cover of "${manga.title}":`, error);
+        return null;
+    }
+}
+
+/**
+ * Resizes an image to a square thumbnail of `COVER_SIZE` pixels, cropping its center.
+ *
+ * @param {Blob} blob - The image.
+ *
+ * @returns {Promise<Blob>} A promise that resolves to the thumbnail, and rejects if the image cannot be decoded.
+ */
+async function resizeCover(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const side = Math.min(bitmap.width, bitmap.height);
+    const canvas = new OffscreenCanvas(COVER_SIZE, COVER_SIZE);
+    canvas.getContext('2d').drawImage(
+        bitmap, (bitmap.width - side) / 2, (bitmap.height - side) / 2, side, side, 0, 0, COVER_SIZE, COVER_SIZE
+    );
+    bitmap.close();
+    return canvas.convertToBlob({ type: COVER_TYPE, quality: COVER_QUALITY });
+}
+
+/**
+ * Deletes the least recently used covers while the cache is over its limit, keeping the covers of the library
+ * first, and shows the new usage. Waits for the covers still being loaded or downloaded, so it runs once per batch.
+ */
+async function pruneCoverCache() {
+    if (coverRequests.size > 0) {
+        await Promise.all(coverRequests.values());
+        scheduleCoverPrune();
+        return;
+    }
+
+    try {
+        await pruneCovers(new Set(mangaList.map(m => m.id)));
+    } catch (error) {
+        console.error('Error pruning the cover cache:', error);
+    }
+    renderCoverCacheStatus();
+}
+
+/**
+ * Creates the object URL of a stored cover and shows it on the item of its manga, if there is one.
+ *
+ * @param {string} mangaId - The ID of the manga.
+ * @param {Object} record - The cover record.
+ *
+ * @returns {string} The object URL of the cover.
+ */
+function showCover(mangaId, record) {
+    forgetCover(mangaId);
+    const url = URL.createObjectURL(record.blob);
+    coverUrls.set(mangaId, { source: record.source, url: url });
+
+    const cached = mangaElementCache.get(mangaId);
+    if (cached) {
+        cached.element.querySelector('#manga-image').src = url;
+    }
+    return url;
+}
+
+/**
+ * Releases the object URL of the cover of a manga.
+ *
+ * @param {string} mangaId - The ID of the manga.
+ */
+function forgetCover(mangaId) {
+    const cover = coverUrls.get(mangaId);
+    if (cover) {
+        URL.revokeObjectURL(cover.url);
+        coverUrls.delete(mangaId);
+    }
+}
+
+/**
+ * Checks whether covers can be downloaded from any site.
+ *
+ * @returns {Promise<boolean>} A promise that resolves to true if the host permissions are granted.
+ */
+function hasCoverPermission() {
+    if (coverPermission === null) {
+        coverPermission = chrome.permissions.contains({ origins: COVER_ORIGINS }).catch(() => false);
+    }
+    return coverPermission;
+}
+
+/**
+ * Asks for permission to download covers from any site, then downloads the covers of the shown mangas.
+ *
+ * @returns {Promise<boolean>} A promise that resolves to true if the permission was granted.
+ */
+async function requestCoverPermission() {
+    const granted = await chrome.permissions.request({ origins: COVER_ORIGINS });
+    coverPermission = Promise.resolve(granted);
+    if (!granted) {
+        showModal('modal-cover-permission-denied');
+        return false;
+    }
+
+    failedCoverSources.clear();
+    reloadCovers();
+    return true;
+}
+
+/**
+ * Rebuilds the manga items, so each one loads its cover again.
+ */
+function reloadCovers() {
+    mangaElementCache.clear();
+    loadFilteredMangas();
+    renderCoverCacheStatus();
+}
+
+/**
+ * Deletes the downloaded covers, which are downloaded again the next time they are shown.
+ */
+async function handleCoverCacheClear() {
+    try {
+        (await clearDownloadedCovers()).forEach(forgetCover);
+        failedCoverSources.clear();
+    } catch (error) {
+        console.error('Error clearing the cover cache:', error);
+    }
+    reloadCovers();
+}
+
+/**
+ * Shows how many covers are stored and how much space they take, and the button asking
+ * for the host permissions while they are not granted.
+ */
+async function renderCoverCacheStatus() {
+    try {
+        const covers = await getStoredCovers();
+        const size = covers.reduce((sum, cover) => sum + cover.size, 0);
+        document.getElementById('cover-cache-status').textContent = formatTranslation('cover-cache-status', {
+            count: covers.length,
+            size: `${(size / 1024 / 1024).toFixed(1)} / ${Math.round(COVER_CACHE_LIMIT / 1024 / 1024)} MB`
+        });
+    } catch (error) {
+        console.error('Error loading the cover cache:', error);
+    }
+    document.getElementById('cover-permission').classList.toggle('hidden', await hasCoverPermission());
+}
+
+/**
+ * Resizes the image file picked in the manga form, to store it as the cover once the form is saved.
+ *
+ * @param {Event} event - The change event from the file input.
+ */
+async function handleCoverUpload(event) {
+    const [file] = event.target.files;
+    resetCoverUpload();
+    if (!file) return;
+
+    try {
+        setPendingCoverUpload(await resizeCover(file));
+        document.getElementById('cover-upload-name').textContent = file.name;
+    } catch (error) {
+        console.warn('Could not read the picked image:', error);
+        event.target.value = '';
+        showModal('modal-cover-upload-invalid');
+    }
+    renderCoverPreview();
+}
+
+/**
+ * Keeps the thumbnail of the image file picked in the manga form, releasing the previous one.
+ *
+ * @param {Blob|null} blob - The thumbnail, or null to forget it.
+ */
+function setPendingCoverUpload(blob) {
+    if (pendingCoverPreview) {
+        URL.revokeObjectURL(pendingCoverPreview);
+    }
+    pendingCoverUpload = blob;
+    pendingCoverPreview = blob ? URL.createObjectURL(blob) : null;
+}
+
+/**
+ * Stores the image file picked in the manga form as the cover of a manga. It stays its cover
+ * until its image URL changes or its cover is refreshed.
+ *
+ * @param {string} mangaId - The ID of the manga.
+ * @param {string} image - The image URL saved with the manga.
+ *
+ * @returns {Promise<boolean>} A promise that resolves to true if an image was picked and stored.
+ */
+async function saveCoverUpload(mangaId, image) {
+    if (!pendingCoverUpload) return false;
+
+    try {
+        const record = await storeCover(mangaId, pendingCoverUpload, image || '', true);
+        showCover(mangaId, record);
+        scheduleCoverPrune();
+        return true;
+    } catch (error) {
+        console.error('Error saving the uploaded cover:', error);
+        return false;
+    } finally {
+        setPendingCoverUpload(null);
+    }
+}
+
+/**
+ * Forgets the image file picked in the manga form.
+ */
+function resetCoverUpload() {
+    setPendingCoverUpload(null);
+    document.getElementById('cover-upload-name').textContent = '';
+    renderCoverPreview();
+}
+
+/**
+ * Previews the cover the manga form would save: the picked image file, or else the image at the typed link,
+ * shown from the stored cover of the edited manga when the link did not change. The stored cover is loaded
+ * first if it was not shown yet.
+ */
+function renderCoverPreview() {
+    const preview = document.getElementById('cover-preview');
+    const image = document.getElementById('image').value.trim();
+    const manga = mangaList.find(m => m.id === document.getElementById('chapterForm').dataset.mangaId);
+    const src = pendingCoverPreview || (manga && getCoverSrc({ ...manga, image: image })) || image;
+
+    if (manga && image === (manga.image || '') && !getCoverSrc(manga) && !coverRequests.has(manga.id)) {
+        requestCover(manga).then(url => url && renderCoverPreview());
+    }
+
+    preview.classList.toggle('hidden', !src);
+    if (!src) {
+        preview.removeAttribute('src');
+    } else if (preview.getAttribute('src') !== src) {
+        preview.src = src;
+    }
+}
+
+/**
+ * Deletes the stored cover of the edited manga and downloads its image again, asking for the host permissions
+ * first if needed. The image can also be loaded from its site again if it failed before.
+ */
+async function handleCoverRefresh() {
+    const manga = mangaList.find(m => m.id === document.getElementById('chapterForm').dataset.mangaId);
+    if (!manga) return;
+
+    try {
+        await deleteStoredCover(manga.id);
+    } catch (error) {
+        console.error('Error deleting the cover:', error);
+    }
+    forgetCover(manga.id);
+    failedCoverSources.delete(manga.image);
+    resetCoverUpload();
+    document.getElementById('cover-upload').value = '';
+    manga.isImageWorking = true;
+
+    const canDownload = (await hasCoverPermission()) || (await requestCoverPermission());
+    const url = canDownload ? await requestCover(manga) : null;
+    refreshAndSaveMangas();
+    renderCoverCacheStatus();
+    if (canDownload && !url) {
+        showModal('modal-cover-refresh-failed');
+    }
+}
@@ -0,0 +1,155 @@
+// IndexedDB database and object store that keep the downloaded and uploaded covers, one per manga
+const COVER_DB_NAME = 'mangaLibraryCovers';
+const COVER_DB_VERSION = 1;
+const COVER_STORE = 'covers';
+
+// Most bytes the stored covers can take. Covers of mangas that left the library go first,
+// then downloaded covers and uploaded ones last, each least recently used first.
+const COVER_CACHE_LIMIT = 10 * 1024 * 1024;
+
+// How long a stored cover can go without being marked as used again, so showing it does not write every time
+const COVER_USE_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Opened database, shared by every cover operation
+let coverDatabase = null;
+
+/**
+ * Opens the cover database, creating its object store on first use.
+ *
+ * @returns {Promise<IDBDatabase>} A promise that resolves to the database.
+ */
+function openCoverDatabase() {
+    if (!coverDatabase) {
+        coverDatabase = new Promise((resolve, reject) => {
+            const request = indexedDB.open(COVER_DB_NAME, COVER_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(COVER_STORE, { keyPath: 'mangaId' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        coverDatabase.catch(() => { coverDatabase = null; });
+    }
+    return coverDatabase;
+}
+
+/**
+ * Runs a request on the cover object store.
+ *
+ * @param {string} mode - The transaction mode ('readonly' or 'readwrite').
+ * @param {Function} createRequest - Creates the request from the object store, or queues several requests and returns nothing.
+ *
+ * @returns {Promise<*>} A promise that resolves to the result of the request once its transaction completes.
+ */
+async function runCoverRequest(mode, createRequest) {
+    const database = await openCoverDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(COVER_STORE, mode);
+        const request = createRequest(transaction.objectStore(COVER_STORE));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Loads the stored cover of a manga and marks it as used.
+ *
+ * @param {string} mangaId - The ID of the manga.
+ *
+ * @returns {Promise<Object|null>} A promise that resolves to the cover record, with its `blob`, its `size` in bytes,
+ * the image URL of the manga it was stored for (`source`), whether it was `uploaded` and when it was last used (`usedAt`),
+ * or null if there is none.
+ */
+async function getStoredCover(mangaId) {
+    const record = await runCoverRequest('readonly', store => store.get(mangaId));
+    if (!record) return null;
+
+    const now = Date.now();
+    if (now - record.usedAt > COVER_USE_INTERVAL) {
+        record.usedAt = now;
+        await runCoverRequest('readwrite', store => store.put(record));
+    }
+    return record;
+}
+
+/**
+ * Stores the cover of a manga, replacing its previous one.
+ *
+ * @param {string} mangaId - The ID of the manga.
+ * @param {Blob} blob - The cover image.
+ * @param {string} source - The image URL of the manga when the cover was stored, which it was downloaded from unless uploaded.
+ * @param {boolean} uploaded - True if the cover is an image file picked by the user.
+ *
+ * @returns {Promise<Object>} A promise that resolves to the stored cover record.
+ */
+async function storeCover(mangaId, blob, source, uploaded) {
+    const record = {
+        mangaId: mangaId,
+        blob: blob,
+        size: blob.size,
+        source: source,
+        uploaded: uploaded,
+        usedAt: Date.now()
+    };
+
+    await runCoverRequest('readwrite', store => store.put(record));
+    return record;
+}
+
+/**
+ * Deletes the stored cover of a manga.
+ *
+ * @param {string} mangaId - The ID of the manga.
+ *
+ * @returns {Promise} A promise that resolves once the cover is deleted.
+ */
+function deleteStoredCover(mangaId) {
+    return runCoverRequest('readwrite', store => store.delete(mangaId));
+}
+
+/**
+ * Loads every stored cover.
+ *
+ * @returns {Promise<Array>} A promise that resolves to the cover records.
+ */
+function getStoredCovers() {
+    return runCoverRequest('readonly', store => store.getAll());
+}
+
+/**
+ * Deletes stored covers until they fit in `COVER_CACHE_LIMIT`. Covers of mangas that are not in the library go first,
+ * as an undo or a snapshot may still bring them back, then downloaded covers, which can be downloaded again,
+ * and uploaded covers last. Within each group, the least recently used covers go first.
+ *
+ * @param {Set<string>} libraryIds - The IDs of the mangas in the library.
+ *
+ * @returns {Promise} A promise that resolves once the covers are deleted.
+ */
+async function pruneCovers(libraryIds) {
+    const covers = await getStoredCovers();
+    let total = covers.reduce((sum, cover) => sum + cover.size, 0);
+    if (total <= COVER_CACHE_LIMIT) return;
+
+    const priority = cover => !libraryIds.has(cover.mangaId) ? 0 : cover.uploaded ? 2 : 1;
+    covers.sort((a, b) => priority(a) - priority(b) || a.usedAt - b.usedAt);
+
+    const expiredIds = [];
+    for (const cover of covers) {
+        if (total <= COVER_CACHE_LIMIT) break;
+        expiredIds.push(cover.mangaId);
+        total -= cover.size;
+    }
+    await runCoverRequest('readwrite', store => expiredIds.forEach(id => store.delete(id)));
+}
+
+/**
+ * Deletes every downloaded cover. Uploaded covers are kept, as they cannot be downloaded again.
+ *
+ * @returns {Promise<Array<string>>} A promise that resolves to the IDs of the mangas whose cover was deleted.
+ */
+async function clearDownloadedCovers() {
+    const ids = (await getStoredCovers()).filter(cover => !cover.uploaded).map(cover => cover.mangaId);
+    await runCoverRequest('readwrite', store => ids.forEach(id => store.delete(id)));
+    return ids;
+}
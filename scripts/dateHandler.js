@@ -0,0 +1,98 @@
+// Ways of showing the dates of the manga list: the full date and time, or the time elapsed since then
+const DATE_DISPLAYS = ['absolute', 'relative'];
+
+// Units of relative dates, each with its length in seconds and the elapsed time up to which it is used
+const RELATIVE_DATE_UNITS = [
+    { unit: 'second', seconds: 1, limit: 60 },
+    { unit: 'minute', seconds: 60, limit: 60 * 60 },
+    { unit: 'hour', seconds: 60 * 60, limit: 24 * 60 * 60 },
+    { unit: 'day', seconds: 24 * 60 * 60, limit: 7 * 24 * 60 * 60 },
+    { unit: 'week', seconds: 7 * 24 * 60 * 60, limit: 30 * 24 * 60 * 60 },
+    { unit: 'month', seconds: 30 * 24 * 60 * 60, limit: 365 * 24 * 60 * 60 },
+    { unit: 'year', seconds: 365 * 24 * 60 * 60, limit: Infinity }
+];
+
+// Selected way of showing the dates of the manga list, one of `DATE_DISPLAYS`
+let dateDisplay = 'absolute';
+
+// Attach event listener for DOMContentLoaded to load the saved date display
+document.addEventListener('DOMContentLoaded', loadDateDisplay);
+
+// Attach event listener for the date display selector in the settings dialog
+document.getElementById('dateDisplay').addEventListener('change', changeDateDisplay);
+
+/**
+ * Loads the saved date display and selects it in the settings dialog.
+ * The manga list is shown again with it, unless the translations it needs are not loaded yet.
+ */
+function loadDateDisplay() {
+    chrome.storage.local.get({ dateDisplay: 'absolute' }, function (result) {
+        if (chrome.runtime.lastError) {
+            console.error('Error loading the date display:', chrome.runtime.lastError);
+            return;
+        }
+
+        dateDisplay = DATE_DISPLAYS.includes(result.dateDisplay) ? result.dateDisplay : 'absolute';
+        document.getElementById('dateDisplay').value = dateDisplay;
+        if (window.translations) {
+            loadFilteredMangas();
+        }
+    });
+}
+
+/**
+ * Saves the date display picked in the settings dialog and shows the manga list with it.
+ *
+ * @param {Event} event - The change event from the date display selector.
+ */
+function changeDateDisplay(event) {
+    dateDisplay = event.target.value;
+    chrome.storage.local.set({ dateDisplay: dateDisplay }, function () {
+        if (chrome.runtime.lastError) {
+            console.error('Error saving the date display:', chrome.runtime.lastError);
+        }
+    });
+    loadFilteredMangas();
+}
+
+/**
+ * Formats a date of the manga list with the selected date display.
+ *
+ * @param {string|number|null} value - The stored date.
+ *
+ * @returns {string} The formatted date.
+ */
+function formatMangaDate(value) {
+    return dateDisplay === 'relative' ? formatRelativeDate(value) : formatDateTime(value);
+}
+
+/**
+ * Formats a date and its time in the selected language.
+ *
+ * @param {string|number|null} value - The stored date or its time in milliseconds.
+ *
+ * @returns {string} The formatted date, the value itself if it cannot be parsed, or an empty string if it is missing.
+ */
+function formatDateTime(value) {
+    const date = parseStoredDate(value);
+    if (!date) return value ? String(value) : '';
+
+    return new Intl.DateTimeFormat(window.language, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+}
+
+/**
+ * Formats the time elapsed since a date in the selected language, such as "3 days ago".
+ *
+ * @param {string|number|null} value - The stored date or its time in milliseconds.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ *
+ * @returns {string} The formatted date, the value itself if it cannot be parsed, or an empty string if it is missing.
+ */
+function formatRelativeDate(value, now = Date.now()) {
+    const date = parseStoredDate(value);
+    if (!date) return value ? String(value) : '';
+
+    const elapsed = (now - date.getTime()) / 1000;
+    const { unit, seconds } = RELATIVE_DATE_UNITS.find(({ limit }) => Math.abs(elapsed) < limit);
+    return new Intl.RelativeTimeFormat(window.language, { numeric: 'auto' }).format(-Math.trunc(elapsed / seconds), unit);
+}
@@ -0,0 +1,109 @@
+// Manga fields holding dates. They are stored as ISO 8601 strings, so they read the same in any browser locale.
+const MANGA_DATE_FIELDS = ['dayAdded', 'lastRead', 'completedDate'];
+
+// Dates stored by this version, as ISO 8601 strings with the time
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T/;
+
+// Order of day and month in the dates of the browser locale, guessed on first use
+let browserDateOrder = null;
+
+/**
+ * Parses a date written by hand or by an older version of the extension, which stored dates in the format of the
+ * browser locale. Accepts YYYY-MM-DD, DD/MM/YYYY or MM/DD/YYYY (with '/', '-' or '.'), an optional time with seconds
+ * and AM/PM, and anything else the browser can parse, such as ISO 8601 strings and epoch milliseconds.
+ *
+ * @param {string|number} value - The date.
+ * @param {string} dateOrder - The order of day and month in dates that do not start with the year, 'mdy' or 'dmy'.
+ *
+ * @returns {Date|null} The date, or null if it is not a valid date.
+ */
+function parseDate(value, dateOrder) {
+    if (typeof value === 'number') {
+        const date = new Date(value);
+        return isNaN(date) ? null : date;
+    }
+    if (typeof value !== 'string' || !value.trim()) return null;
+
+    const text = value.trim();
+    const time = '(?:[\\sT,]+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?\\s*(am|pm)?)?';
+    const yearFirst = text.match(new RegExp(`^(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})${time}$`, 'i'));
+    const yearLast = text.match(new RegExp(`^(\\d{1,2})[-/.](\\d{1,2})[-/.](\\d{4}|\\d{2})${time}$`, 'i'));
+
+    let year, month, day, timeParts;
+    if (yearFirst) {
+        [, year, month, day, ...timeParts] = yearFirst;
+    } else if (yearLast) {
+        let first, second;
+        [, first, second, year, ...timeParts] = yearLast;
+        [month, day] = dateOrder === 'dmy' ? [second, first] : [first, second];
+        year = year.length === 2 ? `20${year}` : year;
+    } else {
+        const date = new Date(text);
+        return isNaN(date) ? null : date;
+    }
+
+    let [hours, minutes, seconds, meridiem] = timeParts;
+    hours = parseInt(hours, 10) || 0;
+    if (meridiem) {
+        hours = hours % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+
+    const date = new Date(+year, +month - 1, +day, hours, parseInt(minutes, 10) || 0, parseInt(seconds, 10) || 0);
+
+    // Rejects impossible dates such as 31/02, which Date would roll over into the next month
+    if (date.getMonth() !== +month - 1 || date.getDate() !== +day) return null;
+    return date;
+}
+
+/**
+ * Parses a date stored in a manga, either as an ISO 8601 string or in the locale format of older versions.
+ * Locale dates are read in the day and month order of the browser locale, or in the other one if that is
+ * the only valid reading, as in 13/05/2024.
+ *
+ * @param {string|number|null} value - The stored date.
+ *
+ * @returns {Date|null} The date, or null if it is missing or cannot be parsed.
+ */
+function parseStoredDate(value) {
+    if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+        const date = new Date(value);
+        return isNaN(date) ? null : date;
+    }
+
+    const dateOrder = guessDateOrder();
+    return parseDate(value, dateOrder) || parseDate(value, dateOrder === 'mdy' ? 'dmy' : 'mdy');
+}
+
+/**
+ * Returns the time of a date stored in a manga, for sorting and comparisons.
+ *
+ * @param {string|number|null} value - The stored date.
+ *
+ * @returns {number} The time in milliseconds, or 0 if the date is missing or cannot be parsed.
+ */
+function getStoredTime(value) {
+    const date = parseStoredDate(value);
+    return date ? date.getTime() : 0;
+}
+
+/**
+ * Converts a date into the format stored in mangas.
+ *
+ * @param {Date|string|number|null} value - The date, or a date string or time in any format `parseStoredDate` reads.
+ *
+ * @returns {string|null} The date as an ISO 8601 string, or null if it is missing or cannot be parsed.
+ */
+function toStoredDate(value) {
+    const date = value instanceof Date ? value : parseStoredDate(value);
+    return date && !isNaN(date) ? date.toISOString() : null;
+}
+
+/**
+ * Guesses whether the user writes dates with the month or the day first, from the browser locale.
+ *
+ * @returns {string} 'mdy' or 'dmy'.
+ */
+function guessDateOrder() {
+    browserDateOrder = browserDateOrder || (new Date(2000, 11, 31).toLocaleDateString().startsWith('12') ? 'mdy' : 'dmy');
+    return browserDateOrder;
+}
@@ -113,6 +113,7 @@ function hideMangaForm() {
 function showFiltersDialog() {
     const filtersDialog = document.getElementById('filtersDialog');
     handleMaxChapters();
+    renderTagFilters();
     toggleDialog(filtersDialog);
 }
 
@@ -19,6 +19,15 @@ document.getElementById('currentPage-only-checkbox').addEventListener('change',h
 // Attach event listener for the sort option dropdown in the filter dialog
 document.getElementById('sortOption').addEventListener('change', handleLoadAndSave);
 
+// Attach event listener for the chapter range mode dropdown in the filter dialog
+document.getElementById('chapterRangeMode').addEventListener('change', function() {
+    handleMaxChapters();
+    handleLoadAndSave();
+});
+
+// Attach event listener for the status dropdown in the filter dialog
+document.getElementById('statusFilter').addEventListener('change', handleLoadAndSave);
+
 // Attach event listener to update values on range change
 document.getElementById('minChapters').addEventListener('input', function() {
     document.getElementById('minChapterValue').textContent = this.value;
@@ -39,6 +48,12 @@ document.getElementById('maxChapters').addEventListener('change', function() {
     loadFilteredMangas();
 });
 
+// Attach event listener for the tag chips in the filter dialog
+document.getElementById('tagFilters').addEventListener('click', handleTagFilterClick);
+
+// Tags that mangas must have (include) or must not have (exclude) to be shown
+let tagFilterState = { include: [], exclude: [] };
+
 // Attach event listener for the search bar keydown event to prevent clearing on 'Enter' key
 document.getElementById('searchBar').addEventListener('keydown', function(event) {
     if (event.key === 'Enter') {
@@ -57,37 +72,83 @@ function loadFilterOptions() {
             return;
         }
 
-        const filterOptions = result.filterOptions;
+        applyFilterOptions(result.filterOptions);
+    });
+}
+
+/**
+ * Updates the UI components (checkboxes and dropdowns) and the tag filters with the given filter options.
+ * 
+ * @param {Object} filterOptions - The filter options, as saved by `saveFilterOptions`.
+ */
+function applyFilterOptions(filterOptions) {
+    // Set the checkbox state, default to unchecked if not set
+    document.getElementById('favorites-only-checkbox').checked = !!filterOptions.favOnly;
+
+    // Set the currentPage only checkbox state, default to unchecked if not set
+    document.getElementById('currentPage-only-checkbox').checked =!!filterOptions.currentPage;
+
+    // Set the sortOption dropdown value, default to a sensible fallback if not set
+    document.getElementById('sortOption').value = filterOptions.sortOption || 'favFirst';
 
-        // Set the checkbox state, default to unchecked if not set
-        document.getElementById('favorites-only-checkbox').checked = !!filterOptions.favOnly;
+    // Set the chapter range mode, default to filtering by chapters read if not set
+    document.getElementById('chapterRangeMode').value = filterOptions.chapterRangeMode || 'read';
 
-        // Set the currentPage only checkbox state, default to unchecked if not set
-        document.getElementById('currentPage-only-checkbox').checked =!!filterOptions.currentPage;
+    // Set the status dropdown value, default to showing every status if not set
+    document.getElementById('statusFilter').value = filterOptions.status || 'all';
 
-        // Set the sortOption dropdown value, default to a sensible fallback if not set
-        document.getElementById('sortOption').value = filterOptions.sortOption || 'favFirst';
+    // Set the included and excluded tags, default to no tag filters if not set
+    tagFilterState = {
+        include: filterOptions.includeTags || [],
+        exclude: filterOptions.excludeTags || []
+    };
     
-        // Set the sortOrder, default to 'ascending' if not set
-        const sortOrder = filterOptions.sortOrder || 'ascending';
-        document.getElementById('toggleSortOrder').dataset.order = sortOrder;
-        updateSortOrderDisplay(sortOrder);
-    });
+    // Set the sortOrder, default to 'ascending' if not set
+    const sortOrder = filterOptions.sortOrder || 'ascending';
+    document.getElementById('toggleSortOrder').dataset.order = sortOrder;
+    updateSortOrderDisplay(sortOrder);
 }
 
 /**
- * Saves the current filter options (favorites-only, current-page only, sorting options)
- * to the local storage.
+ * Reads the filter options (favorites-only, current-page only, sorting options) from the UI components.
+ *
+ * @returns {Object} The filter options.
  */
-function saveFilterOptions() {
-    const filterOptions = {
+function getFilterOptions() {
+    return {
         favOnly: document.getElementById('favorites-only-checkbox').checked,
         currentPage: document.getElementById('currentPage-only-checkbox').checked,
         sortOption: document.getElementById('sortOption').value,
-        sortOrder: document.getElementById('toggleSortOrder').dataset.order || 'ascending'
+        status: document.getElementById('statusFilter').value,
+        chapterRangeMode: getChapterRangeMode(),
+        sortOrder: document.getElementById('toggleSortOrder').dataset.order || 'ascending',
+        includeTags: tagFilterState.include,
+        excludeTags: tagFilterState.exclude
     };
+}
 
-    chrome.storage.local.set({ filterOptions: filterOptions }, function() {
+/**
+ * Reads every filter from the UI components: the filter options, the chapter range and the search text.
+ * A maximum at the end of its range means no upper limit, so the filters keep every manga as the library grows.
+ *
+ * @returns {Object} The filter options, with `minChapters`, `maxChapters` (null for no limit) and `search`.
+ */
+function getCurrentFilters() {
+    const maxChaptersRange = document.getElementById('maxChapters');
+    return {
+        ...getFilterOptions(),
+        minChapters: +document.getElementById('minChapters').value,
+        maxChapters: +maxChaptersRange.value >= +maxChaptersRange.max ? null : +maxChaptersRange.value,
+        search: document.getElementById('searchBar').value
+    };
+}
+
+/**
+ * Saves the current filter options (favorites-only, current-page only, sorting options)
+ * to the local storage.
+ */
+function saveFilterOptions() {
+    chrome.storage.local.set({ filterOptions: getFilterOptions() }, function() {
         if (chrome.runtime.lastError) {
             console.error('Error saving filter options:', chrome.runtime.lastError);
         }
@@ -146,6 +207,23 @@ function handleLoadAndSave(){
     saveFilterOptions();
 }
 
+/**
+ * Shows the hints about the search terms that could not be understood below the search bar.
+ *
+ * @param {Array<Object>} hints - The hints of the parsed query, each with its translation `key` and its `term`.
+ */
+function renderSearchHints(hints) {
+    const searchHints = document.getElementById('search-hints');
+    searchHints.innerHTML = '';
+    searchHints.classList.toggle('hidden', hints.length === 0);
+
+    hints.forEach(hint => {
+        const line = document.createElement('li');
+        line.textContent = formatTranslation(hint.key, { term: hint.term });
+        searchHints.appendChild(line);
+    });
+}
+
 /**
  * Clears the search bar and reloads the manga list without any search filter.
  */
@@ -155,39 +233,144 @@ function handleDeleteSearch() {
 }
 
 /**
- * Returns the maximum number of chapters read from the mangaList.
+ * Renders every tag as a chip in the filter dialog, showing whether it is included, excluded or unused.
+ */
+function renderTagFilters() {
+    const tagFilters = document.getElementById('tagFilters');
+    tagFilters.innerHTML = '';
+    document.getElementById('noTagFiltersMessage').classList.toggle('hidden', tagList.length > 0);
+
+    tagList.forEach(tag => {
+        tagFilters.appendChild(createTagChip(tag, getTagFilterState(tag.id)));
+    });
+}
+
+/**
+ * Returns the filter state of a tag.
+ *
+ * @param {string} tagId - The ID of the tag.
+ *
+ * @returns {string} 'include', 'exclude' or '' if the tag is not used to filter.
+ */
+function getTagFilterState(tagId) {
+    if (tagFilterState.include.includes(tagId)) return 'include';
+    if (tagFilterState.exclude.includes(tagId)) return 'exclude';
+    return '';
+}
+
+/**
+ * Cycles the filter state of the clicked tag chip (unused → include → exclude → unused),
+ * then reloads the mangas and saves the filter options.
+ *
+ * @param {Event} event - The click event on the tag filters container.
+ */
+function handleTagFilterClick(event) {
+    const chip = event.target.closest('[data-tag-id]');
+    if (!chip) return;
+
+    const tagId = chip.dataset.tagId;
+    const state = getTagFilterState(tagId);
+    removeTagFromFilters(tagId);
+
+    if (state === '') {
+        tagFilterState.include.push(tagId);
+    } else if (state === 'include') {
+        tagFilterState.exclude.push(tagId);
+    }
+
+    styleTagChip(chip, findTag(tagId), getTagFilterState(tagId));
+    handleLoadAndSave();
+}
+
+/**
+ * Removes a tag from both the included and excluded tag filters.
+ *
+ * @param {string} tagId - The ID of the tag.
+ */
+function removeTagFromFilters(tagId) {
+    tagFilterState = {
+        include: tagFilterState.include.filter(id => id !== tagId),
+        exclude: tagFilterState.exclude.filter(id => id !== tagId)
+    };
+}
+
+/**
+ * Returns what the chapter range filters by.
+ * 
+ * @returns {string} 'read' for chapters read or 'remaining' for chapters left to read.
+ */
+function getChapterRangeMode() {
+    return document.getElementById('chapterRangeMode').value || 'read';
+}
+
+/**
+ * Returns the chapter count of a manga that the chapter range is compared against.
+ * 
+ * @param {Object} manga - The manga object.
+ * @param {string} mode - 'read' for chapters read or 'remaining' for chapters left to read.
  * 
- * @returns {number} The maximum number of chapters read.
+ * @returns {number} The chapters read or remaining.
+ */
+function getChapterRangeValue(manga, mode) {
+    return mode === 'remaining' ? getRemainingChapters(manga) : manga.readChapters;
+}
+
+/**
+ * Returns the maximum number of chapters read (or remaining, depending on the chapter range mode) from the mangaList.
+ * 
+ * @returns {number} The maximum number of chapters read or remaining.
  */
 function getMaxChapters() {
-    return mangaList.reduce((max, manga) => Math.max(max, manga.readChapters), 1);
+    const mode = getChapterRangeMode();
+    return mangaList.reduce((max, manga) => Math.max(max, getChapterRangeValue(manga, mode)), 1);
 }
 
 /**
  * Loads and filters the manga list based on the search query, current page checkbox, 
- * favorites checkbox, min/max chapters ranges and sort options.
+ * favorites checkbox, min/max chapters ranges, tag filters, status and sort options.
  */
 async function loadFilteredMangas() {
-    const query = document.getElementById('searchBar').value.toLowerCase();
-    let results = mangaList;
+    const filters = getCurrentFilters();
+    renderSearchHints(parseSearchQuery(filters.search).hints);
 
-    // Filter by searchbar
-    if (query) {
-        results = results.filter(manga => manga.title.toLowerCase().includes(query));
-    }
+    // Load the filtered mangas
+    loadMangas(await filterMangas(mangaList, filters));
+    renderSelectionBar();
+    renderFilterPresets();
+}
 
-    const currentPageOnly = document.getElementById('currentPage-only-checkbox').checked;
-    const favOnly = document.getElementById('favorites-only-checkbox').checked;
-    const sortOption = document.getElementById('sortOption').value;
-    const sortOrder = document.getElementById('toggleSortOrder').dataset.order || 'ascending';
-    const minChapters = +document.getElementById('minChapters').value;
-    const maxChapters = +document.getElementById('maxChapters').value;
+/**
+ * Filters and sorts mangas with the given filters. Titles that match the searched words best come first,
+ * and equal matches keep the selected order.
+ *
+ * @param {Array} mangas - The mangas to filter.
+ * @param {Object} filters - The filter options, with the chapter range and the search text, as returned by `getCurrentFilters`.
+ *
+ * @returns {Promise<Array>} A promise that resolves to the filtered and sorted mangas.
+ */
+async function filterMangas(mangas, filters) {
+    const query = parseSearchQuery(filters.search || '');
+
+    // Filter by searchbar, keeping the score of each match to rank the results
+    const searchScores = new Map();
+    let results = mangas.filter(manga => {
+        const score = matchSearchQuery(manga, query);
+        searchScores.set(manga, score);
+        return score !== null;
+    });
+
+    // Tags deleted since the filters were saved no longer filter anything
+    const existingTags = tagIds => (tagIds || []).filter(id => tagList.some(tag => tag.id === id));
 
     // Sort and filter the results (await is necessary because sortMangas is async)
-    results = await sortMangas(results, sortOption, sortOrder, favOnly, currentPageOnly, minChapters, maxChapters);
+    results = await sortMangas(results, filters.sortOption || 'favFirst', filters.sortOrder || 'ascending',
+        !!filters.favOnly, !!filters.currentPage, filters.minChapters || 0, filters.maxChapters ?? Infinity,
+        existingTags(filters.includeTags), existingTags(filters.excludeTags), filters.status || 'all', filters.chapterRangeMode || 'read');
 
-    // Load the filtered mangas
-    loadMangas(results);
+    if (query.words.some(word => !word.negated)) {
+        results.sort((a, b) => searchScores.get(b) - searchScores.get(a));
+    }
+    return results;
 }
 
 /**
@@ -195,16 +378,20 @@ async function loadFilteredMangas() {
  * favorites-only, and current-page-only options.
  * 
  * @param {Array} array - The array of mangas to sort.
- * @param {string} filterMethod - The filter method ('favFirst','alphabetically' , 'chaptersRead', 'addDate', 'lastRead').
+ * @param {string} filterMethod - The filter method ('favFirst','alphabetically' , 'chaptersRead', 'chaptersBehind', 'percentComplete', 'addDate', 'lastRead').
  * @param {string} order - The sort order ('ascending' or 'descending').
  * @param {boolean} favOnly - Whether to only show favorite mangas.
  * @param {boolean} currentPageOnly - Whether to only show mangas on the current page.
  * @param {number} minChapters - The minimum number of chapters a manga should have to be included.
  * @param {number} maxChapters - The maximum number of chapters a manga should have to be included.
+ * @param {Array<string>} [includeTags=[]] - The IDs of the tags a manga must all have to be included.
+ * @param {Array<string>} [excludeTags=[]] - The IDs of the tags a manga must not have to be included.
+ * @param {string} [status='all'] - The reading status a manga must have to be included, or 'all'.
+ * @param {string} [chapterRangeMode='read'] - Whether min/max chapters apply to chapters 'read' or 'remaining'.
  * 
  * @returns {Array} The sorted and filtered array of mangas.
  */
-async function sortMangas(array, filterMethod, order, favOnly, currentPageOnly, minChapters, maxChapters) {
+async function sortMangas(array, filterMethod, order, favOnly, currentPageOnly, minChapters, maxChapters, includeTags = [], excludeTags = [], status = 'all', chapterRangeMode = 'read') {
     // If currentPageOnly is true, get the current URL and shows only the currentPage mangas.
     if (currentPageOnly) {
         const { url: currentUrl } = await getCurrentTabInfo();
@@ -224,8 +411,24 @@ async function sortMangas(array, filterMethod, order, favOnly, currentPageOnly,
         array = array.filter(manga => manga.favorite);
     }
 
-    // Filter based on chapter count
-    array = array.filter(manga => manga.readChapters >= minChapters && manga.readChapters <= maxChapters);
+    // Only show mangas with the selected status
+    if (status !== 'all') {
+        array = array.filter(manga => manga.status === status);
+    }
+
+    // Filter based on chapter count (read or remaining)
+    array = array.filter(manga => {
+        const chapters = getChapterRangeValue(manga, chapterRangeMode);
+        return chapters >= minChapters && chapters <= maxChapters;
+    });
+
+    // Filter based on included and excluded tags
+    if (includeTags.length > 0 || excludeTags.length > 0) {
+        array = array.filter(manga => {
+            const tags = manga.tags || [];
+            return includeTags.every(id => tags.includes(id)) && !excludeTags.some(id => tags.includes(id));
+        });
+    }
 
     // Sort the array based on the filterMethod and sortOrder
     return array.sort((a, b) => {
@@ -240,13 +443,21 @@ async function sortMangas(array, filterMethod, order, favOnly, currentPageOnly,
              // Should show most chapters to least
                 comparison = b.readChapters - a.readChapters;
                 break;
+            case 'chaptersBehind':
+                // Should show most chapters left to read first
+                comparison = getRemainingChapters(b) - getRemainingChapters(a);
+                break;
+            case 'percentComplete':
+                // Should show most complete first
+                comparison = getProgressPercent(b) - getProgressPercent(a);
+                break;
             case 'addDate':
                 // Should show most recent first
-                comparison = new Date(b.dayAdded) - new Date(a.dayAdded);
+                comparison = getStoredTime(b.dayAdded) - getStoredTime(a.dayAdded);
                 break;
             case 'lastRead':
                 // Should show most recent first
-                comparison = new Date(b.lastRead) - new Date(a.lastRead);
+                comparison = getStoredTime(b.lastRead) - getStoredTime(a.lastRead);
                 break;
             default:
             // If "filterMethod" is other, should order alphabetically        
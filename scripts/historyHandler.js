@@ -0,0 +1,225 @@
+// Most actions kept in each direction of the history
+const HISTORY_LIMIT = 50;
+
+// Actions older than this are forgotten when the popup opens, in milliseconds
+const HISTORY_LIFETIME = 60 * 60 * 1000;
+
+// Time the undo toast stays visible, in milliseconds
+const HISTORY_TOAST_DURATION = 6000;
+
+// Actions that can be undone and redone, newest last. Each holds the state of the mangas it changed
+// from before the action (or, once undone, from before the undo), so undoing and redoing are the same swap.
+// The tags an action created are kept the same way, so undoing it removes them unless a manga still uses them.
+let undoStack = [];
+let redoStack = [];
+
+// Timer that hides the undo toast
+let historyToastTimer = null;
+
+// Attach event listener for DOMContentLoaded to load the actions of the previous popup sessions
+document.addEventListener('DOMContentLoaded', loadHistory);
+
+// Attach event listener for Ctrl+Z and Ctrl+Shift+Z to undo and redo
+document.addEventListener('keydown', handleHistoryShortcut);
+
+// Attach event listener for the button of the undo toast
+document.getElementById('history-toast-action').addEventListener('click', (event) => {
+    if (event.currentTarget.dataset.direction === 'redo') {
+        redoLastAction();
+    } else {
+        undoLastAction();
+    }
+});
+
+/**
+ * Loads the undo and redo history saved by previous popup sessions, leaving out the expired actions.
+ */
+function loadHistory() {
+    chrome.storage.local.get({ libraryHistory: { undo: [], redo: [] } }, function (result) {
+        if (chrome.runtime.lastError) {
+            console.error('Error loading the undo history:', chrome.runtime.lastError);
+            return;
+        }
+
+        const isRecent = entry => Date.now() - entry.at < HISTORY_LIFETIME;
+        undoStack = result.libraryHistory.undo.filter(isRecent);
+        redoStack = result.libraryHistory.redo.filter(isRecent);
+    });
+}
+
+/**
+ * Saves the undo and redo history, so it survives closing the popup.
+ */
+function saveHistory() {
+    chrome.storage.local.set({ libraryHistory: { undo: undoStack, redo: redoStack } }, function () {
+        if (chrome.runtime.lastError) {
+            console.error('Error saving the undo history:', chrome.runtime.lastError);
+        }
+    });
+}
+
+/**
+ * Captures the state of the library before an action. Must be called before the mangas or the tags change.
+ *
+ * @param {Array} [mangas=mangaList] - The mangas the action may change. Added mangas and tags are detected without being listed.
+ *
+ * @returns {Object} The checkpoint to pass to `recordHistory` once the action is done.
+ */
+function captureHistory(mangas = mangaList) {
+    return {
+        ids: new Set(mangaList.map(manga => manga.id)),
+        tagIds: new Set(tagList.map(tag => tag.id)),
+        states: mangas.map(manga => ({ id: manga.id, manga: structuredClone(manga), index: mangaList.indexOf(manga) }))
+    };
+}
+
+/**
+ * Records an action in the undo history, with the mangas it changed and the tags it created since the checkpoint,
+ * and offers to undo it. Actions that changed no manga are not recorded.
+ *
+ * @param {string} action - The action, named after its `history-action-*` translation key.
+ * @param {Object} checkpoint - The checkpoint taken by `captureHistory` before the action.
+ */
+function recordHistory(action, checkpoint) {
+    const states = checkpoint.states.filter(state => {
+        const current = mangaList.find(manga => manga.id === state.id);
+        return !isSameSyncValue(current, state.manga);
+    });
+    mangaList
+        .filter(manga => !checkpoint.ids.has(manga.id))
+        .forEach(manga => states.push({ id: manga.id, manga: null, index: -1 }));
+
+    if (states.length === 0) return;
+
+    const tags = tagList
+        .filter(tag => !checkpoint.tagIds.has(tag.id))
+        .map(tag => ({ id: tag.id, tag: null }));
+
+    undoStack = [...undoStack, { action, states, tags, at: Date.now() }].slice(-HISTORY_LIMIT);
+    redoStack = [];
+    saveHistory();
+    showHistoryToast(translate(`history-action-${action}`), 'undo');
+}
+
+/**
+ * Undoes the last action of the history and offers to redo it.
+ */
+function undoLastAction() {
+    moveHistoryEntry(undoStack, redoStack, 'history-undone', 'redo');
+}
+
+/**
+ * Redoes the last undone action and offers to undo it again.
+ */
+function redoLastAction() {
+    moveHistoryEntry(redoStack, undoStack, 'history-redone', 'undo');
+}
+
+/**
+ * Applies the last entry of a history stack and moves it to the other one, holding the states it replaced.
+ *
+ * @param {Array} from - The stack to take the entry from.
+ * @param {Array} to - The stack to move the entry to.
+ * @param {string} messageKey - The translation key of the toast message.
+ * @param {string} nextDirection - The direction offered by the toast afterwards ('undo' or 'redo').
+ */
+function moveHistoryEntry(from, to, messageKey, nextDirection) {
+    const entry = from.pop();
+    if (!entry) return;
+
+    const states = swapHistoryStates(entry.states);
+    const tags = swapHistoryTags(entry.tags || []);
+    to.push({ ...entry, states, tags, at: Date.now() });
+    saveHistory();
+    if (tags.some((state, index) => state.tag !== entry.tags[index].tag)) {
+        refreshTags(getSelectedTagIds().filter(id => findTag(id)));
+        saveFilterOptions();
+    }
+    refreshAndSaveMangas();
+    showHistoryToast(formatTranslation(messageKey, { action: translate(`history-action-${entry.action}`) }), nextDirection);
+}
+
+/**
+ * Puts the given states of mangas back in the library.
+ *
+ * @param {Array} states - The states to restore, each with the manga ID, its copy (null if it did not exist) and its position.
+ *
+ * @returns {Array} The states they replaced, to swap back with.
+ */
+function swapHistoryStates(states) {
+    return states.map(state => {
+        const index = mangaList.findIndex(manga => manga.id === state.id);
+        const replaced = { id: state.id, manga: index === -1 ? null : structuredClone(mangaList[index]), index: index };
+
+        if (index !== -1) {
+            mangaList.splice(index, 1);
+        }
+        if (state.manga) {
+            const position = state.index === -1 ? mangaList.length : Math.min(state.index, mangaList.length);
+            mangaList.splice(position, 0, structuredClone(state.manga));
+        }
+        return replaced;
+    });
+}
+
+/**
+ * Puts the given states of tags back in the tag list. A tag that did not exist is only removed
+ * if no manga uses it, and is then removed from the tag filters too.
+ *
+ * @param {Array} states - The states to restore, each with the tag ID and its copy (null if it did not exist).
+ *
+ * @returns {Array} The states they replaced, to swap back with.
+ */
+function swapHistoryTags(states) {
+    return states.map(state => {
+        const tag = findTag(state.id);
+        if (!tag) {
+            if (state.tag) {
+                tagList.push(structuredClone(state.tag));
+            }
+            return { id: state.id, tag: null };
+        }
+
+        if (state.tag || mangaList.some(manga => (manga.tags || []).includes(state.id))) return state;
+
+        tagList = tagList.filter(t => t.id !== state.id);
+        removeTagFromFilters(state.id);
+        return { id: state.id, tag: structuredClone(tag) };
+    });
+}
+
+/**
+ * Undoes with Ctrl+Z and redoes with Ctrl+Shift+Z (Cmd on macOS), except while typing in a field.
+ *
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+    if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    event.preventDefault();
+    if (event.shiftKey) {
+        redoLastAction();
+    } else {
+        undoLastAction();
+    }
+}
+
+/**
+ * Shows the toast that offers to undo or redo the last action, and hides it after a moment.
+ *
+ * @param {string} message - The message describing the action.
+ * @param {string} direction - The direction offered by the button ('undo' or 'redo').
+ */
+function showHistoryToast(message, direction) {
+    const toast = document.getElementById('history-toast');
+    const button = document.getElementById('history-toast-action');
+
+    document.getElementById('history-toast-message').textContent = message;
+    button.dataset.direction = direction;
+    button.textContent = translate(`history-${direction}-button`);
+    toast.classList.remove('hidden');
+
+    clearTimeout(historyToastTimer);
+    historyToastTimer = setTimeout(() => toast.classList.add('hidden'), HISTORY_TOAST_DURATION);
+}
@@ -0,0 +1,284 @@
+// Content script injected into the active tab by the manga form to pick a cover from the page.
+// It highlights the image under the pointer and sends the URL of the clicked one to the service worker.
+
+// Attributes lazy-loading libraries keep the real image URL in until the image scrolls into view
+const LAZY_IMAGE_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original', 'data-lazy', 'data-url'];
+const LAZY_SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset'];
+
+// Smallest width and height of an image that can be picked, in pixels, so icons and spacers are skipped
+const PICKER_MIN_SIZE = 24;
+
+// Running picker, with the elements it adds to the page, the last pointer position
+// and the controller removing its event listeners
+let imagePicker = null;
+
+/**
+ * Starts picking an image on the page. The image under the pointer is highlighted, a click picks it
+ * and 'Escape' cancels. Page handlers do not receive the clicks while picking.
+ *
+ * @param {string} hint - The translated instructions shown at the top of the page.
+ */
+function startImagePicker(hint) {
+    if (imagePicker) return;
+
+    const host = document.createElement('div');
+    host.style.cssText = 'position: fixed; inset: 0; z-index: 2147483647; pointer-events: none;';
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const highlight = document.createElement('div');
+    highlight.style.cssText = 'position: fixed; display: none; box-sizing: border-box; border: 2px solid #3b82f6;'
+        + ' background: rgba(59, 130, 246, 0.2); border-radius: 4px; transition: all 60ms ease-out;';
+
+    const banner = document.createElement('div');
+    banner.textContent = hint;
+    banner.style.cssText = 'position: fixed; top: 12px; left: 50%; transform: translateX(-50%); max-width: 90vw;'
+        + ' padding: 8px 16px; border-radius: 8px; background: #191919; color: #fff;'
+        + ' font: 14px/1.4 system-ui, sans-serif; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);';
+
+    root.append(highlight, banner);
+    document.documentElement.appendChild(host);
+
+    const controller = new AbortController();
+    imagePicker = { host, highlight, controller, pointer: null };
+
+    const options = { capture: true, signal: controller.signal };
+    window.addEventListener('mousemove', handlePickerMove, options);
+    window.addEventListener('scroll', handlePickerScroll, options);
+    window.addEventListener('click', handlePickerClick, options);
+    ['mousedown', 'mouseup', 'pointerdown', 'pointerup', 'auxclick', 'contextmenu'].forEach(type => {
+        window.addEventListener(type, blockPageEvent, options);
+    });
+    window.addEventListener('keydown', handlePickerKey, options);
+}
+
+/**
+ * Removes the picker from the page.
+ */
+function stopImagePicker() {
+    if (!imagePicker) return;
+
+    imagePicker.controller.abort();
+    imagePicker.host.remove();
+    imagePicker = null;
+}
+
+/**
+ * Highlights the image under the pointer.
+ *
+ * @param {MouseEvent} event - The mousemove event.
+ */
+function handlePickerMove(event) {
+    imagePicker.pointer = [event.clientX, event.clientY];
+    highlightImageAt(event.clientX, event.clientY);
+}
+
+/**
+ * Moves the highlight to the image that scrolled under the pointer.
+ */
+function handlePickerScroll() {
+    if (imagePicker.pointer) {
+        highlightImageAt(...imagePicker.pointer);
+    }
+}
+
+/**
+ * Picks the image under the pointer, or keeps picking if there is none.
+ *
+ * @param {MouseEvent} event - The click event.
+ */
+function handlePickerClick(event) {
+    blockPageEvent(event);
+
+    const found = findImageAt(event.clientX, event.clientY);
+    if (!found) return;
+
+    stopImagePicker();
+    sendPickerMessage({ type: 'image-picked', url: found.url });
+}
+
+/**
+ * Cancels the picker with 'Escape'.
+ *
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handlePickerKey(event) {
+    if (event.key !== 'Escape') return;
+
+    blockPageEvent(event);
+    stopImagePicker();
+    sendPickerMessage({ type: 'image-picker-cancelled' });
+}
+
+/**
+ * Keeps an event from reaching the page, so picking an image does not follow links or run page actions.
+ *
+ * @param {Event} event - The event.
+ */
+function blockPageEvent(event) {
+    event.preventDefault();
+    event.stopImmediatePropagation();
+}
+
+/**
+ * Sends the result of the picker to the service worker, which reopens the popup.
+ *
+ * @param {Object} message - The message.
+ */
+function sendPickerMessage(message) {
+    chrome.runtime.sendMessage(message).catch(error => {
+        console.warn('Could not send the picked image to the extension:', error);
+    });
+}
+
+/**
+ * Moves the highlight over the image at a point of the viewport, or hides it if there is none.
+ *
+ * @param {number} x - The horizontal position, in pixels.
+ * @param {number} y - The vertical position, in pixels.
+ */
+function highlightImageAt(x, y) {
+    const found = findImageAt(x, y);
+    const { highlight } = imagePicker;
+
+    if (!found) {
+        highlight.style.display = 'none';
+        return;
+    }
+
+    const rect = found.element.getBoundingClientRect();
+    Object.assign(highlight.style, {
+        display: 'block',
+        left: `${rect.left}px`,
+        top: `${rect.top}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+    });
+}
+
+/**
+ * Finds the topmost image at a point of the viewport, looking through the elements stacked there,
+ * since links and overlays often cover the images of a page.
+ *
+ * @param {number} x - The horizontal position, in pixels.
+ * @param {number} y - The vertical position, in pixels.
+ *
+ * @returns {Object|null} The `element` showing the image and the `url` of the image, or null if there is none.
+ */
+function findImageAt(x, y) {
+    for (const element of document.elementsFromPoint(x, y)) {
+        if (element === imagePicker.host) continue;
+
+        const rect = element.getBoundingClientRect();
+        if (rect.width < PICKER_MIN_SIZE || rect.height < PICKER_MIN_SIZE) continue;
+
+        const url = getElementImageUrl(element);
+        if (url) return { element, url };
+    }
+    return null;
+}
+
+/**
+ * Returns the URL of the image an element shows: the best source of an `<img>`, the image of an SVG `<image>`,
+ * the poster of a `<video>` or the CSS background image of any other element.
+ *
+ * @param {Element} element - The element.
+ *
+ * @returns {string|null} The absolute URL of the image, or null if the element shows none that can be downloaded.
+ */
+function getElementImageUrl(element) {
+    if (element instanceof HTMLImageElement) {
+        return getImgUrl(element);
+    }
+    if (element instanceof SVGImageElement) {
+        return toPickableUrl(element.href.baseVal);
+    }
+    if (element instanceof HTMLVideoElement) {
+        return toPickableUrl(element.poster);
+    }
+    return getBackgroundImageUrl(element);
+}
+
+/**
+ * Returns the best source of an `<img>`: the largest candidate of its `srcset` or of the sources of its `<picture>`,
+ * then the URL kept by lazy-loading libraries, since the shown source may still be a placeholder,
+ * and the shown source last.
+ *
+ * @param {HTMLImageElement} img - The image element.
+ *
+ * @returns {string|null} The absolute URL of the image, or null if it has none that can be downloaded.
+ */
+function getImgUrl(img) {
+    const sources = img.parentElement instanceof HTMLPictureElement
+        ? [...img.parentElement.querySelectorAll('source'), img]
+        : [img];
+    const srcsets = sources.flatMap(source => ['srcset', ...LAZY_SRCSET_ATTRIBUTES].map(name => source.getAttribute(name)));
+
+    const candidates = [
+        getLargestSrcsetCandidate(srcsets),
+        ...LAZY_IMAGE_ATTRIBUTES.map(name => img.getAttribute(name)),
+        img.currentSrc,
+        img.src
+    ];
+    for (const candidate of candidates) {
+        const url = toPickableUrl(candidate);
+        if (url) return url;
+    }
+    return null;
+}
+
+/**
+ * Finds the largest candidate of some `srcset` attributes, by width (`300w`) or pixel density (`2x`).
+ *
+ * @param {Array<string|null>} srcsets - The values of the attributes.
+ *
+ * @returns {string|null} The URL of the largest candidate, or null if there is none.
+ */
+function getLargestSrcsetCandidate(srcsets) {
+    let largest = null;
+    srcsets.filter(Boolean).forEach(srcset => {
+        // Candidates are separated by commas followed by spaces, as URLs may contain commas themselves
+        srcset.split(/,\s+/).forEach(candidate => {
+            const [url, descriptor = '1x'] = candidate.trim().split(/\s+/);
+            const size = parseFloat(descriptor) || 1;
+            if (url && toPickableUrl(url) && (!largest || size > largest.size)) {
+                largest = { url, size };
+            }
+        });
+    });
+    return largest ? largest.url : null;
+}
+
+/**
+ * Returns the first image of the CSS background of an element, ignoring gradients.
+ *
+ * @param {Element} element - The element.
+ *
+ * @returns {string|null} The absolute URL of the image, or null if the background has none that can be downloaded.
+ */
+function getBackgroundImageUrl(element) {
+    const backgroundImage = getComputedStyle(element).backgroundImage;
+    for (const [, , url] of backgroundImage.matchAll(/url\((['"]?)(.*?)\1\)/g)) {
+        const pickable = toPickableUrl(url);
+        if (pickable) return pickable;
+    }
+    return null;
+}
+
+/**
+ * Resolves an image URL against the page URL.
+ *
+ * @param {string|null} url - The URL, possibly relative.
+ *
+ * @returns {string|null} The absolute URL, or null if it is missing or not an HTTP(S) URL, such as the data URLs
+ * of placeholders.
+ */
+function toPickableUrl(url) {
+    if (!url || !url.trim()) return null;
+
+    try {
+        const resolved = new URL(url.trim(), document.baseURI);
+        return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+    } catch (error) {
+        return null;
+    }
+}
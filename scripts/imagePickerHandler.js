@@ -0,0 +1,136 @@
+// Attach event listener for DOMContentLoaded to bring back the manga form left to pick an image on the page
+document.addEventListener('DOMContentLoaded', restoreImagePickerDraft);
+
+// Attach event listener for the button picking the cover image on the current page
+document.getElementById('image-pick').addEventListener('click', handleImagePick);
+
+/**
+ * Starts the image picker on the active tab. The popup closes so the page can be clicked, and the manga form
+ * is saved as a draft, to be brought back with the picked image when the service worker reopens the popup.
+ */
+async function handleImagePick() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return;
+
+    await saveImagePickerDraft();
+    if (!(await injectImagePicker(tab))) {
+        chrome.storage.local.remove('imagePickerDraft');
+        showModal('modal-image-picker-unavailable');
+        return;
+    }
+    window.close();
+}
+
+/**
+ * Injects the image picker into a tab and starts it. If the page cannot be reached, permission to access
+ * its site is asked for once.
+ *
+ * @param {chrome.tabs.Tab} tab - The tab.
+ *
+ * @returns {Promise<boolean>} A promise that resolves to true if the picker was started.
+ */
+async function injectImagePicker(tab) {
+    const target = { tabId: tab.id };
+    const start = async () => {
+        const [{ result: injected }] = await chrome.scripting.executeScript({
+            target: target,
+            func: () => typeof startImagePicker === 'function'
+        });
+        if (!injected) {
+            await chrome.scripting.executeScript({ target: target, files: ['scripts/imagePicker.js'] });
+        }
+        await chrome.scripting.executeScript({
+            target: target,
+            func: hint => startImagePicker(hint),
+            args: [translate('image-picker-hint')]
+        });
+    };
+
+    try {
+        await start();
+        return true;
+    } catch (error) {
+        console.warn('Could not start the image picker:', error);
+    }
+
+    // The popup only has access to the tab it was opened on, so a reopened popup needs permission for the site
+    let origin;
+    try {
+        origin = new URL(tab.url).origin;
+    } catch (error) {
+        return false;
+    }
+    if (!/^https?:/.test(origin) || !(await chrome.permissions.request({ origins: [`${origin}/*`] }))) return false;
+
+    try {
+        await start();
+        return true;
+    } catch (error) {
+        console.warn('Could not start the image picker:', error);
+        return false;
+    }
+}
+
+/**
+ * Saves the values of the manga form, and the manga being edited, to local storage.
+ *
+ * @returns {Promise} A promise that resolves once the draft is saved.
+ */
+function saveImagePickerDraft() {
+    const draft = {
+        mangaId: document.getElementById('chapterForm').dataset.mangaId || null,
+        image: document.getElementById('image').value,
+        title: document.getElementById('title').value,
+        link: document.getElementById('link').value,
+        readChapters: document.getElementById('readChapters').value,
+        totalChapters: document.getElementById('totalChapters').value,
+        score: document.getElementById('score').value,
+        favorite: document.getElementById('favorite').checked,
+        autoTrack: document.getElementById('autoTrack').checked,
+        status: document.getElementById('status').value,
+        tags: getSelectedTagIds()
+    };
+    return chrome.storage.local.set({ imagePickerDraft: draft });
+}
+
+/**
+ * Brings back the manga form saved before picking an image, filled with the picked image, and shows its preview.
+ * An image picked without a draft, such as after the popup was opened and closed meanwhile, opens an empty form with it.
+ */
+function restoreImagePickerDraft() {
+    chrome.storage.local.get(['imagePickerDraft', 'pickedImage', 'mangaList'], function (result) {
+        if (chrome.runtime.lastError) {
+            console.error('Error loading the image picker draft:', chrome.runtime.lastError);
+            return;
+        }
+        const draft = result.imagePickerDraft;
+        if (!draft && !result.pickedImage) return;
+
+        chrome.storage.local.remove(['imagePickerDraft', 'pickedImage'], function () {
+            if (chrome.runtime.lastError) {
+                console.error('Error removing the image picker draft:', chrome.runtime.lastError);
+            }
+        });
+
+        // The manga list may not be loaded yet, so the edited manga is looked up in the stored one
+        const manga = draft && draft.mangaId ? (result.mangaList || []).find(m => m.id === draft.mangaId) : null;
+        if (manga) {
+            handleMangaEdition(mangaList.find(m => m.id === manga.id) || manga);
+        } else {
+            showMangaForm();
+        }
+
+        if (draft) {
+            ['image', 'title', 'link', 'readChapters', 'totalChapters', 'score', 'status'].forEach(field => {
+                document.getElementById(field).value = draft[field];
+            });
+            document.getElementById('favorite').checked = draft.favorite;
+            document.getElementById('autoTrack').checked = draft.autoTrack;
+            renderTagSelector(draft.tags);
+        }
+        if (result.pickedImage) {
+            document.getElementById('image').value = result.pickedImage;
+        }
+        renderCoverPreview();
+    });
+}
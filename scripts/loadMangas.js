@@ -3,8 +3,50 @@ document.addEventListener('DOMContentLoaded', () => {
     cacheDomElements();
     initializeBlur();
     document.getElementById('scrollContainer').addEventListener('scroll', debounce(handleBlur));
+    document.getElementById('scrollContainer').addEventListener('scroll', scheduleMangaWindowRender);
 });
 
+// Colors of the status badge shown on each manga item
+const STATUS_BADGE_CLASSES = {
+    reading: 'bg-blue-500 text-white',
+    completed: 'bg-green-600 text-white',
+    onHold: 'bg-yellow-400 text-light-primary-text',
+    dropped: 'bg-light-red text-white',
+    planToRead: 'bg-light-secondary-text text-white'
+};
+
+// Height of a manga item before it is measured, including the gap above it, in pixels
+const MANGA_ITEM_ESTIMATED_HEIGHT = 112;
+
+// Gap between manga items set by the `space-y-4` class of the list, in pixels
+const MANGA_ITEM_GAP = 16;
+
+// Manga items rendered above and below the visible ones, so fast scrolling does not show blank space
+const MANGA_LIST_OVERSCAN = 4;
+
+// Most manga item elements kept for reuse
+const MANGA_ELEMENT_CACHE_LIMIT = 200;
+
+// Mangas shown in the list, in their displayed order. Only the items around the visible part of the list are rendered.
+let renderedMangas = [];
+
+// Offset of each shown manga from the top of the list, plus the total height as last entry, in pixels
+let mangaItemOffsets = [0];
+
+// Measured heights of the manga items, including the gap above them, keyed by manga ID
+const mangaItemHeights = new Map();
+
+// Manga item elements kept for reuse, keyed by manga ID and least recently used first,
+// each with the render key of the manga it shows
+const mangaElementCache = new Map();
+
+// What every manga item depends on besides its manga (language, theme, date display, tags and selection mode).
+// When it changes, the cached items are rebuilt.
+let mangaElementContext = '';
+
+// Animation frame scheduled to render the manga items after a scroll
+let mangaWindowFrame = null;
+
 // Caches DOM elements to avoid multiple lookups
 let bottomBlur, topBlur, mangaListElement;
 function cacheDomElements() {
@@ -51,6 +93,18 @@ function handleImageError(event) {
     imgElement.src = handleImageTheme();
 }
 
+/**
+ * Escapes the HTML special characters of a user-provided string so it can be inserted in a template.
+ *
+ * @param {string} text - The text to escape.
+ * 
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+    const replacements = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, char => replacements[char]);
+}
+
 /**
  * Initializes the bottom blur element based on the length of the manga list.
  * If the list contains more than 3 items, the opacity of the bottom blur is set
@@ -79,39 +133,179 @@ function handleBlur() {
 }
 
 /**
- * Loads a list of manga items into the DOM, with support for batch loading and error handling for image loading.
+ * Loads a list of manga items into the DOM. Only the items around the visible part of the list are rendered,
+ * reusing the elements of the mangas that did not change, and the manga at the top of the list stays in place
+ * if it is still shown, so filtering and sorting keep the scroll position.
  * 
  * @param {Array} inputList - The list of manga objects to be loaded.
- * @param {number} [batchSize=3] - The number of manga items to load at a time. Default is 3.
  */
-function loadMangas(inputList, batchSize = 3) {
+function loadMangas(inputList) {
+    const anchor = getMangaScrollAnchor();
+
+    renderedMangas = inputList;
+    mangaItemOffsets = computeMangaItemOffsets();
+
+    const anchorIndex = anchor ? inputList.findIndex(manga => manga.id === anchor.id) : -1;
+    const totalHeight = mangaItemOffsets[inputList.length];
     const mangaListContainer = document.getElementById('mangaListContainer');
-    mangaListContainer.innerHTML = '';
+    mangaListContainer.style.paddingTop = '0px';
+    mangaListContainer.style.paddingBottom = `${totalHeight}px`;
+    if (anchorIndex !== -1) {
+        mangaListElement.scrollTop = mangaItemOffsets[anchorIndex] + anchor.offset;
+    } else {
+        mangaListElement.scrollTop = Math.min(mangaListElement.scrollTop, Math.max(0, totalHeight - mangaListElement.clientHeight));
+    }
+
+    renderMangaWindow();
+    handleBlur();
+}
+
+/**
+ * Finds the manga at the top of the visible part of the list.
+ *
+ * @returns {Object|null} The ID of the manga and how far the list is scrolled past its top, in pixels,
+ * or null if the list is empty.
+ */
+function getMangaScrollAnchor() {
+    const scrollTop = mangaListElement.scrollTop;
+    const index = mangaItemOffsets.findIndex((offset, i) => i < renderedMangas.length && mangaItemOffsets[i + 1] > scrollTop);
+    if (index === -1) return null;
 
-    let currentIndex = 0;
+    return { id: renderedMangas[index].id, offset: scrollTop - mangaItemOffsets[index] };
+}
+
+/**
+ * Computes the offset of each shown manga from the top of the list, using the estimated height for unmeasured items.
+ * The first item has no gap above it.
+ *
+ * @returns {Array<number>} The offsets, with the total height of the list as last entry.
+ */
+function computeMangaItemOffsets() {
+    const offsets = [0];
+    renderedMangas.forEach((manga, i) => {
+        const height = mangaItemHeights.get(manga.id) || MANGA_ITEM_ESTIMATED_HEIGHT;
+        offsets.push(offsets[i] + height - (i === 0 ? MANGA_ITEM_GAP : 0));
+    });
+    return offsets;
+}
+
+/**
+ * Renders the manga items after a scroll, at most once per animation frame.
+ */
+function scheduleMangaWindowRender() {
+    if (mangaWindowFrame) return;
+
+    mangaWindowFrame = requestAnimationFrame(() => {
+        mangaWindowFrame = null;
+        renderMangaWindow();
+    });
+}
+
+/**
+ * Renders the items of the shown mangas that are visible, plus `MANGA_LIST_OVERSCAN` on each side.
+ * The list is padded for the items left out, so it keeps its full scroll height.
+ * Rendered items are measured, and rendered again once if their heights differ from the estimated ones.
+ *
+ * @param {boolean} [remeasured=false] - True when rendering again after measuring the items.
+ */
+function renderMangaWindow(remeasured = false) {
+    const mangaListContainer = document.getElementById('mangaListContainer');
+    const scrollTop = mangaListElement.scrollTop;
+    // Before the popup is laid out the list has no height yet, so the window height is used instead
+    const viewportHeight = mangaListElement.clientHeight || window.innerHeight;
 
-    function loadBatch() {
-        const fragment = document.createDocumentFragment();
-        const endIndex = Math.min(currentIndex + batchSize, inputList.length);
+    let start = mangaItemOffsets.findIndex((offset, i) => i < renderedMangas.length && mangaItemOffsets[i + 1] > scrollTop);
+    if (start === -1) {
+        start = renderedMangas.length;
+    }
+    let end = start;
+    while (end < renderedMangas.length && mangaItemOffsets[end] < scrollTop + viewportHeight) {
+        end++;
+    }
+    start = Math.max(0, start - MANGA_LIST_OVERSCAN);
+    end = Math.min(renderedMangas.length, end + MANGA_LIST_OVERSCAN);
 
-        for (let i = currentIndex; i < endIndex; i++) {
-            const manga = inputList[i];
-            const mangaDiv = createMangaElement(manga);
-            fragment.appendChild(mangaDiv);
+    const elements = renderedMangas.slice(start, end).map(getMangaElement);
+    elements.forEach((element, i) => {
+        if (mangaListContainer.children[i] !== element) {
+            mangaListContainer.insertBefore(element, mangaListContainer.children[i] || null);
         }
+    });
+    while (mangaListContainer.children.length > elements.length) {
+        mangaListContainer.lastElementChild.remove();
+    }
 
-        mangaListContainer.appendChild(fragment);
-        currentIndex += batchSize;
-    
-        // If there's more to load, schedule the next batch
-        if (currentIndex < inputList.length) {
-            requestAnimationFrame(loadBatch);
+    // `space-y-4` leaves out the gap above the first rendered item, so the padding holds it
+    mangaListContainer.style.paddingTop = `${mangaItemOffsets[start] + (start > 0 ? MANGA_ITEM_GAP : 0)}px`;
+    mangaListContainer.style.paddingBottom = `${mangaItemOffsets[renderedMangas.length] - mangaItemOffsets[end]}px`;
+
+    let heightsChanged = false;
+    elements.forEach((element, i) => {
+        const height = element.offsetHeight + MANGA_ITEM_GAP;
+        const id = renderedMangas[start + i].id;
+        if (element.offsetHeight > 0 && mangaItemHeights.get(id) !== height) {
+            mangaItemHeights.set(id, height);
+            heightsChanged = true;
+        }
+    });
+    if (heightsChanged) {
+        mangaItemOffsets = computeMangaItemOffsets();
+        if (!remeasured) {
+            renderMangaWindow(true);
         }
     }
+}
 
-    // Start loading the first batch && Update blurs on load
-    loadBatch();
-    handleBlur();
+/**
+ * Returns the item element of a manga, reusing the cached one if the manga did not change since it was built.
+ * The cache is cleared when the language, the theme, the date display, the tags or the selection mode change.
+ *
+ * @param {Object} manga - The manga object.
+ *
+ * @returns {HTMLElement} The manga item element.
+ */
+function getMangaElement(manga) {
+    const context = JSON.stringify([
+        window.language, document.documentElement.classList.contains('dark'), dateDisplay, selectionMode, tagList
+    ]);
+    if (context !== mangaElementContext) {
+        mangaElementContext = context;
+        mangaElementCache.clear();
+    }
+
+    const key = getMangaRenderKey(manga);
+    const cached = mangaElementCache.get(manga.id);
+    mangaElementCache.delete(manga.id);
+    const element = cached && cached.key === key ? cached.element : createMangaElement(manga);
+
+    mangaElementCache.set(manga.id, { key, element });
+    if (mangaElementCache.size > MANGA_ELEMENT_CACHE_LIMIT) {
+        mangaElementCache.delete(mangaElementCache.keys().next().value);
+    }
+    return element;
+}
+
+/**
+ * Builds the key telling whether the cached item of a manga still shows it as it is.
+ *
+ * @param {Object} manga - The manga object.
+ *
+ * @returns {string} The render key.
+ */
+function getMangaRenderKey(manga) {
+    return JSON.stringify([manga, selectedMangaIds.has(manga.id)]);
+}
+
+/**
+ * Marks the item of a manga as up to date after it was changed in place, so it is reused instead of rebuilt.
+ *
+ * @param {Object} manga - The manga object shown by the item.
+ */
+function markMangaElementCurrent(manga) {
+    const cached = mangaElementCache.get(manga.id);
+    if (cached) {
+        cached.key = getMangaRenderKey(manga);
+    }
 }
 
 /**
@@ -128,17 +322,36 @@ function createMangaElement(manga) {
         'bg-light-primary', 'dark:bg-dark-primary', 'rounded-lg', 'p-4', 'ml-4',
         'shadow-lg', 'transform', 'transition-all', 'hover:scale-[1.02]', "manga-item"
     );
-    mangaDiv.dataset.title = manga.title;
+    mangaDiv.dataset.mangaId = manga.id;
+    if (selectedMangaIds.has(manga.id)) {
+        mangaDiv.classList.add(...SELECTED_MANGA_CLASSES);
+    }
+
+    // Stored covers are shown as soon as they are loaded, and the image is loaded from its site until then
+    const coverSrc = getCoverSrc(manga);
+    if (!coverSrc) {
+        requestCover(manga);
+    }
+    const selectCheckbox = selectionMode ? `
+            <input type="checkbox" id="select" class="h-4 w-4 mr-2 cursor-pointer accent-light-primary-text dark:accent-dark-primary-text" aria-label="${escapeHtml(translate('select-manga-label'))}" ${selectedMangaIds.has(manga.id) ? 'checked' : ''}>` : '';
+    const completedTitle = manga.completedDate ? `title="${escapeHtml(formatDateTime(manga.completedDate))}"` : '';
+    const completeButton = manga.status === 'completed' ? '' : `
+            <button class="inline-flex items-center justify-center whitespace-nowrap text-sm font-medium transition-colors focus-visible:outline-none hover:text-green-600 h-9 rounded-md px-3" id="complete">
+                <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-check h-4 w-4" id="complete">
+                    <path d="M20 6 9 17l-5-5"></path>
+                </svg>
+                <span class="sr-only">${escapeHtml(translate('mark-completed-label'))}</span>
+            </button>`;
 
     mangaDiv.innerHTML = `
-        <div class="flex items-center" data-id="43">
+        <div class="flex items-center" data-id="43">${selectCheckbox}
             <button class="inline-flex items-center justify-center whitespace-nowrap text-sm font-medium ring-offset-background transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:pointer-events-none disabled:opacity-50 hover:bg-accent hover:text-accent-foreground h-9 rounded-md px-3 mr-2" id="fav">
                 <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" id="fav" class="lucide transition-colors duration-200 ${manga.favorite ? "hover:fill-light-red" : "hover:fill-yellow-400"} h-4 w-4 ${manga.favorite ? 'fill-yellow-400' : 'fill-transparent'}">
                     <polygon id="fav" points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
                 </svg>
             </button>
         <div class="relative group" id="image-container">
-            <img id="manga-image" src="${manga.isImageWorking ? manga.image : handleImageTheme()}" alt="${manga.title}" class="w-16 h-16 object-cover rounded-full" loading="lazy">
+            <img id="manga-image" src="${coverSrc || (manga.isImageWorking ? manga.image : handleImageTheme())}" alt="${manga.title}" class="w-16 h-16 object-cover rounded-full" loading="lazy">
             <div class="absolute inset-0 bg-black bg-opacity-50 rounded-full flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity" id="edit">
                 <button class="inline-flex items-center justify-center whitespace-nowrap text-sm font-medium ring-offset-background transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:pointer-events-none disabled:opacity-50 hover:bg-accent hover:text-accent-foreground h-9 rounded-md px-3" id="edit">
                     <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-square-pen h-4 w-4 text-white" id="edit">
@@ -162,10 +375,22 @@ function createMangaElement(manga) {
                     <path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z"></path>
                     <circle cx="12" cy="12" r="3"></circle>
                 </svg>
-                <span id="date">
-                ${manga.lastRead}
+                <span id="date" title="${escapeHtml(formatDateTime(manga.lastRead))}">
+                ${escapeHtml(formatMangaDate(manga.lastRead))}
                 </span>
             </p>
+            <div class="mt-1 flex items-center space-x-2 ${manga.totalChapters ? '' : 'hidden'}" id="manga-progress">
+                <div class="h-1.5 w-24 overflow-hidden rounded-full bg-light-secondary dark:bg-dark-secondary">
+                    <div class="h-full rounded-full bg-light-highlight-primary dark:bg-dark-highlight-primary transition-all" id="progress-bar" style="width: ${getProgressPercent(manga)}%"></div>
+                </div>
+                <span class="text-xs text-light-secondary-text dark:text-dark-secondary-text" id="chapters-remaining">
+                    ${formatTranslation('chapters-remaining', { count: getRemainingChapters(manga) })}
+                </span>
+            </div>
+            <div class="flex flex-wrap gap-1 mt-1" id="manga-badges">
+                <span class="rounded-full px-2 text-xs font-medium ${STATUS_BADGE_CLASSES[manga.status] || ''}" id="status-badge" ${completedTitle}>${translate('status-' + manga.status)}</span>
+                ${createTagBadgesHtml(manga)}
+            </div>
         </div>
         <div class="flex items-center space-x-1 ml-0 sm:ml-4" id="chapter-controls">
             <button class="inline-flex items-center justify-center whitespace-nowrap text-sm font-medium ring-offset-background transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 border hover:text-light-secondary-text dark:hover:text-dark-secondary-text border-light-border dark:border-dark-border hover:bg-light-secondary dark:hover:bg-dark-secondary h-9 rounded-md px-3" id="removeCap">
@@ -178,7 +403,7 @@ function createMangaElement(manga) {
                 <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-plus h-3 w-3" id="addCap">
                     <path id="addCap" d="M5 12h14"></path><path d="M12 5v14"></path>
                 </svg>
-            </button>
+            </button>${completeButton}
             <button class="text-light-red hover:text-dark-red inline-flex items-center justify-center whitespace-nowrap text-sm font-medium transition-colors focus-visible:outline-none h-9 rounded-md px-3" id="delete">
                 <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="h-4 w-4" id="delete">
                     <path d="M3 6h18"></path><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"></path><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"></path><line x1="10" x2="10" y1="11" y2="17"></line><line x1="14" x2="14" y1="11" y2="17"></line>
@@ -190,6 +415,19 @@ function createMangaElement(manga) {
     return mangaDiv;
 }
 
+/**
+ * Updates the progress bar and the remaining chapters of a manga item after its chapters change.
+ * 
+ * @param {HTMLElement} mangaItemElement - The manga item element.
+ * @param {Object} manga - The manga object shown by the element.
+ */
+function updateMangaProgress(mangaItemElement, manga) {
+    mangaItemElement.querySelector('#manga-progress').classList.toggle('hidden', !manga.totalChapters);
+    mangaItemElement.querySelector('#progress-bar').style.width = `${getProgressPercent(manga)}%`;
+    mangaItemElement.querySelector('#chapters-remaining').textContent =
+        formatTranslation('chapters-remaining', { count: getRemainingChapters(manga) });
+}
+
 /**
  * Retrieves the closest manga item from the event target.
  *
@@ -200,18 +438,21 @@ function createMangaElement(manga) {
 function getClosestManga(event) {
     const mangaItem = event.target.closest('.manga-item');
     if (!mangaItem) return null;
-    const manga = mangaList.find(m => m.title === mangaItem.dataset.title);
+    const manga = mangaList.find(m => m.id === mangaItem.dataset.mangaId);
     if (!manga) return null;
     return manga;
 }
 
 /**
- * Event delegation for handling image load errors.
+ * Event delegation for handling image load errors. Only images loaded from their site are marked as not working,
+ * as a stored cover of the manga can still be shown once it is loaded.
  */
 document.getElementById("mangaListContainer").addEventListener("error", (event) => {
     const manga = getClosestManga(event);
     if (event.target.tagName === 'IMG') {
-        if (manga.isImageWorking){
+        if (event.target.src.startsWith('blob:')) {
+            handleImageError(event);
+        } else if (manga.isImageWorking){
             handleImageError(event);
             manga.isImageWorking = false;
         }
@@ -220,16 +461,18 @@ document.getElementById("mangaListContainer").addEventListener("error", (event)
 
 /**
  * Event delegation for handling manga item interactions such as favorite toggle, deletion, editing, 
- * and chapter update (increase or decrease).
+ * completion, chapter update (increase or decrease) and selection.
  * 
  * @param {Event} event - The event object triggered by a user interaction.
  */
 const actions = {
     'fav': (manga, event) => handleFavoriteToggle(manga, event),
-    'delete': (manga, event) => handleMangaDeletion(manga, event),
+    'delete': (manga) => handleMangaDeletion(manga),
     'edit': (manga) => handleMangaEdition(manga),
+    'complete': (manga) => handleMangaCompletion(manga),
     'addCap': (manga, event) => handleChapterUpdate(manga, '+', 1, event),
-    'removeCap': (manga, event) => handleChapterUpdate(manga, '-', 1, event)
+    'removeCap': (manga, event) => handleChapterUpdate(manga, '-', 1, event),
+    'select': (manga, event) => handleMangaSelection(manga, event)
 };
 document.getElementById("mangaListContainer").addEventListener("click", (event) => {
     const manga = getClosestManga(event);
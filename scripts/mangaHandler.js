@@ -14,11 +14,11 @@ async function handleFormSubmission(event) {
 
     const form = document.getElementById('chapterForm');
     const isEditMode = !!form.dataset.editMode;
-    const mangaTitle = form.dataset.mangaTitle;
+    const mangaId = form.dataset.mangaId;
 
     try {
-        if (isEditMode && mangaTitle) {
-            const manga = mangaList.find(m => m.title === mangaTitle);
+        if (isEditMode && mangaId) {
+            const manga = mangaList.find(m => m.id === mangaId);
             if (manga) {
                 await updateMangaDetails(manga);
             } else {
@@ -42,7 +42,10 @@ function handleMangaEdition(manga) {
     fillMangaForm(manga);
     const form = document.getElementById('chapterForm');
     form.dataset.editMode = 'true';
-    form.dataset.mangaTitle = manga.title;
+    form.dataset.mangaId = manga.id;
+    document.getElementById('cover-refresh').classList.remove('hidden');
+    renderCoverPreview();
+    renderReadingTimeline(manga);
 
     showMangaForm();
 }
@@ -59,14 +62,11 @@ async function addNewManga() {
         return;
     }
 
-    const date = new Date().toLocaleString();
-    const newManga = {
-        ...mangaData,
-        dayAdded: date,
-        lastRead: date
-    };
-
-    mangaList.push(newManga);
+    const checkpoint = captureHistory([]);
+    const manga = createManga(mangaData);
+    mangaList.push(manga);
+    recordHistory('add', checkpoint);
+    await saveCoverUpload(manga.id, manga.image);
 
     resetFormValues();
     hideMangaForm();
@@ -77,8 +77,13 @@ function hasChanges(manga, mangaData){
     return manga.image === mangaData.image &&
     manga.link === mangaData.link &&
     manga.readChapters === mangaData.readChapters &&
+    (manga.totalChapters ?? null) === mangaData.totalChapters &&
+    (manga.score ?? null) === mangaData.score &&
     manga.title === mangaData.title &&
-    manga.favorite === mangaData.favorite;
+    manga.favorite === mangaData.favorite &&
+    manga.autoTrack === mangaData.autoTrack &&
+    manga.status === mangaData.status &&
+    [...(manga.tags || [])].sort().join() === [...mangaData.tags].sort().join();
 
 }
 
@@ -89,17 +94,27 @@ function hasChanges(manga, mangaData){
  */
 async function updateMangaDetails(manga) {
     const mangaData = await getMangaFormData();
-    const validationError = validateMangaData(mangaData, manga.title);
+    const validationError = validateMangaData(mangaData);
 
     if (validationError) {
         showModal(validationError);
         return;
     }
+    // A picked cover image is saved on its own, so the form closes even if nothing else changed
+    const coverUploaded = await saveCoverUpload(manga.id, mangaData.image);
     if (hasChanges(manga, mangaData)) {
+        if (coverUploaded) {
+            resetFormValues();
+            hideMangaForm();
+            return;
+        }
         handleLinkReload(manga);
         return;
     }
-    Object.assign(manga, mangaData, { lastRead: new Date().toLocaleString() });
+    const checkpoint = captureHistory([manga]);
+    setMangaStatus(manga, mangaData.status);
+    Object.assign(manga, mangaData, { lastRead: new Date().toISOString() });
+    recordHistory('edit', checkpoint);
 
     resetFormValues();
     hideMangaForm();
@@ -128,28 +143,6 @@ async function getCurrentTabInfo() {
     });
 }
 
-/**
- * Generates a unique title by appending a counter if the title is already used.
- *
- * @param {string} title - The original title.
- * 
- * @returns {string} A unique title that is not currently in use.
- */
-function generateUniqueTitle(title) {
-    if (!isNameUsed(title)) return title;
-
-    let counter = 1;
-    let newTitle = `${title} (${counter})`;
-
-    // Increment the counter until a unique title is found
-    while (isNameUsed(newTitle)) {
-        counter++;
-        newTitle = `${title} (${counter})`;
-    }
-
-    return newTitle;
-}
-
 /**
  * Retrieves the manga data from the form.
  *
@@ -159,43 +152,40 @@ async function getMangaFormData() {
     const linkInput = document.getElementById('link').value.trim();
     const titleInput = document.getElementById('title').value.trim();
     const readChaptersInput = document.getElementById('readChapters').value.trim();
+    const totalChaptersInput = document.getElementById('totalChapters').value.trim();
+    const scoreInput = document.getElementById('score').value.trim();
     
     const { title: tabTitle, url: tabUrl } = await getCurrentTabInfo();
     
     const link = linkInput || tabUrl;
-    const title = titleInput || generateUniqueTitle(tabTitle);
+    const title = titleInput || generateUniqueTitle(tabTitle, mangaList);
 
     const readChapters = parseInt(readChaptersInput, 10);
     const validReadChapters = isNaN(readChapters) || readChapters < 0 ? 0 : readChapters;
 
+    // The total is optional, so an empty or invalid value means unknown
+    const totalChapters = parseInt(totalChaptersInput, 10);
+    const validTotalChapters = isNaN(totalChapters) || totalChapters < 0 ? null : totalChapters;
+
+    // The score is optional too, and limited to the 0-10 scale
+    const score = parseInt(scoreInput, 10);
+    const validScore = isNaN(score) ? null : Math.min(Math.max(score, 0), 10);
+
     return {
         image: document.getElementById('image').value.trim(),
         title: title,
         link: link,
         isImageWorking: true,
         readChapters: validReadChapters,
-        favorite: document.getElementById('favorite').checked
+        totalChapters: validTotalChapters,
+        score: validScore,
+        favorite: document.getElementById('favorite').checked,
+        autoTrack: document.getElementById('autoTrack').checked,
+        status: document.getElementById('status').value,
+        tags: getSelectedTagIds()
     };
 }
 
-/**
- * Validates the manga data.
- * 
- * @param {Object} mangaData - The manga data to be validated.
- * @param {string} [originalTitle=''] - The original title of the manga (used for edit mode).
- * 
- * @returns {string|null} Validation error message or null if data is valid.
- */
-function validateMangaData(mangaData, originalTitle = '') {
-    if (!mangaData.title) {
-        return 'modal-title-required';
-    }
-    if (mangaData.title !== originalTitle && isNameUsed(mangaData.title)) {
-        return 'modal-unique-title-required';
-    }
-    return null;
-}
-
 /**
  * Fills the form with the data of the manga to be edited.
  * 
@@ -206,7 +196,12 @@ function fillMangaForm(manga) {
     document.getElementById('title').value = manga.title || '';
     document.getElementById('link').value = manga.link || '';
     document.getElementById('readChapters').value = manga.readChapters || 0;
+    document.getElementById('totalChapters').value = manga.totalChapters ?? '';
+    document.getElementById('score').value = manga.score ?? '';
     document.getElementById('favorite').checked = manga.favorite || false;
+    document.getElementById('autoTrack').checked = manga.autoTrack ?? true;
+    document.getElementById('status').value = manga.status || 'reading';
+    renderTagSelector(manga.tags || []);
 }
 
 /**
@@ -215,37 +210,112 @@ function fillMangaForm(manga) {
 function resetFormValues() {
     const form = document.getElementById('chapterForm');
     form.reset();
+    renderTagSelector([]);
     delete form.dataset.editMode;
-    delete form.dataset.mangaTitle;
+    delete form.dataset.mangaId;
+    resetCoverUpload();
+    document.getElementById('cover-refresh').classList.add('hidden');
+    document.getElementById('readingTimelineSection').classList.add('hidden');
 }
 
 /**
- * Helper function to refresh the manga list and save the current state.
+ * Shows the reading history of the edited manga in the form, newest first. Events saved together
+ * are grouped, and chapter events show the chapter count before and after the change.
+ *
+ * @param {Object} manga - The manga being edited.
  */
-function refreshAndSaveMangas() {
-    loadFilteredMangas();
-    saveMangas();
+function renderReadingTimeline(manga) {
+    chrome.storage.local.get({ [READING_LOG_KEY]: {} }, function (result) {
+        if (chrome.runtime.lastError) {
+            console.error('Error loading the reading history:', chrome.runtime.lastError);
+            return;
+        }
+        // The form may have been closed, or opened on another manga, while the history was loading
+        if (document.getElementById('chapterForm').dataset.mangaId !== manga.id) return;
+
+        const groups = new Map();
+        let previousChapter = null;
+        decodeReadingEvents(result[READING_LOG_KEY][manga.id]).forEach(event => {
+            if (!groups.has(event.at)) groups.set(event.at, []);
+            groups.get(event.at).push(describeReadingEvent(event, previousChapter));
+            if (event.field === 'readChapters') previousChapter = event.value;
+        });
+
+        const timeline = document.getElementById('readingTimeline');
+        timeline.innerHTML = '';
+
+        if (groups.size === 0) {
+            const empty = document.createElement('li');
+            empty.classList.add('text-xs', 'text-light-secondary-text', 'dark:text-dark-secondary-text');
+            empty.textContent = translate('reading-timeline-empty');
+            timeline.appendChild(empty);
+        }
+
+        [...groups.entries()].reverse().forEach(([at, descriptions]) => {
+            const item = document.createElement('li');
+
+            const date = document.createElement('p');
+            date.classList.add('text-xs', 'text-light-secondary-text', 'dark:text-dark-secondary-text');
+            date.textContent = formatDateTime(at);
+            item.appendChild(date);
+
+            descriptions.forEach(description => {
+                const line = document.createElement('p');
+                line.classList.add('text-sm', 'break-all');
+                line.textContent = description;
+                item.appendChild(line);
+            });
+            timeline.appendChild(item);
+        });
+
+        document.getElementById('readingTimelineSection').classList.remove('hidden');
+    });
 }
 
 /**
- * Checks if a manga title is already used in the manga list.
- * 
- * @param {string} title - The manga title to check.
- * 
- * @returns {boolean} True if the title is already used, false otherwise.
+ * Describes an event of the reading log.
+ *
+ * @param {Object} event - The decoded event, with its `field` and its `value`.
+ * @param {number|null} previousChapter - The chapter count of the previous chapter event, or null if there was none.
+ *
+ * @returns {string} The description of the event.
+ */
+function describeReadingEvent(event, previousChapter) {
+    if (event.field === 'status') {
+        return formatTranslation('reading-timeline-status', { status: translate(`status-${event.value}`) });
+    }
+    if (event.field === 'link') {
+        let site = event.value;
+        try {
+            site = new URL(event.value).hostname || event.value;
+        } catch (error) {
+            // Links that are not valid URLs are shown as they are
+        }
+        return formatTranslation('reading-timeline-link', { site });
+    }
+    if (previousChapter === null || previousChapter === event.value) {
+        return formatTranslation('reading-timeline-chapter', { chapter: event.value });
+    }
+    return formatTranslation('reading-timeline-chapters', { from: previousChapter, to: event.value });
+}
+
+/**
+ * Helper function to refresh the manga list and save the current state.
  */
-function isNameUsed(title) {
-    return mangaList.some(manga => manga.title === title);
+function refreshAndSaveMangas() {
+    loadFilteredMangas();
+    saveMangas();
 }
 
 /**
  * Displays a modal with a given message.
  * 
  * @param {string} messageKey - The message key to translate and display in the modal.
+ * @param {Object} [values={}] - Values for the `{placeholders}` of the message.
  */
-function showModal(messageKey) {
+function showModal(messageKey, values = {}) {
     const modal = document.getElementById('alertModal');
-    modal.querySelector('.modal-body').textContent = translate(messageKey);
+    modal.querySelector('.modal-body').textContent = formatTranslation(messageKey, values);
     modal.style.display = 'block';
 
     document.getElementById('closeModal').addEventListener('click', function () {
@@ -259,6 +329,7 @@ function showModal(messageKey) {
  * @param {Object} manga - The manga object to toggle favorite status for.
  */
 function handleFavoriteToggle(manga, event) {
+    const checkpoint = captureHistory([manga]);
     manga.favorite = !manga.favorite;
 
     const fav = event.target;
@@ -273,6 +344,8 @@ function handleFavoriteToggle(manga, event) {
         fav.classList.remove('hover:fill-light-red'); 
         fav.classList.add('hover:fill-yellow-400');
     }
+    markMangaElementCurrent(manga);
+    recordHistory('favorite', checkpoint);
     saveMangas();
 
 }
@@ -292,9 +365,10 @@ function handleChapterUpdate(manga, operation, amount = 1, event) {
     const mangaDateElement = mangaItemElement.querySelector('#date');
     const mangaChaptersElement = mangaItemElement.querySelector('#chapter-count');
     amount = parseInt(amount, 10) || 1;
+    const checkpoint = captureHistory([manga]);
 
     if (operation === "+") {
-        if(manga.readChapters+amount > getMaxChapters()){
+        if(getChapterRangeMode() === 'read' && manga.readChapters+amount > getMaxChapters()){
             handleMaxChapters(manga.readChapters+amount);
         }
         manga.readChapters = (parseInt(manga.readChapters, 10) || 0) + amount;
@@ -309,16 +383,33 @@ function handleChapterUpdate(manga, operation, amount = 1, event) {
         throw new Error("Invalid operation. Use '+' or '-'.");
     }
 
-    manga.lastRead = new Date().toLocaleString();
-    mangaDateElement.textContent = manga.lastRead;
+    manga.lastRead = new Date().toISOString();
+    mangaDateElement.textContent = formatMangaDate(manga.lastRead);
+    mangaDateElement.title = formatDateTime(manga.lastRead);
     mangaChaptersElement.textContent = "Ch. " + manga.readChapters;
+    updateMangaProgress(mangaItemElement, manga);
+    markMangaElementCurrent(manga);
+    recordHistory('chapter', checkpoint);
     saveMangas();
-    if(document.getElementById('sortOption').value == 'chaptersRead'){
+    if(['chaptersRead', 'chaptersBehind', 'percentComplete'].includes(document.getElementById('sortOption').value)){
         loadFilteredMangas();
     }
 
 }
 
+/**
+ * Marks a manga as completed, stamping the completion date, and reloads the list
+ * so the status badge and status filter are up to date.
+ * 
+ * @param {Object} manga - The manga object to complete.
+ */
+function handleMangaCompletion(manga) {
+    const checkpoint = captureHistory([manga]);
+    setMangaStatus(manga, 'completed');
+    recordHistory('complete', checkpoint);
+    refreshAndSaveMangas();
+}
+
 async function handleLinkReload(manga) {
     const reloadDiv = document.getElementById('reloadLink');
     const newUrl = await getCurrentTabInfo();
@@ -340,7 +431,9 @@ async function handleLinkReload(manga) {
         if(manga.link === newUrl.url){
             return;
         }
+        const checkpoint = captureHistory([manga]);
         Object.assign(manga, {link: newUrl.url});
+        recordHistory('edit', checkpoint);
         saveMangas();
         closeDialog();
         closeAllDialogs();
@@ -352,33 +445,48 @@ async function handleLinkReload(manga) {
  * 
  * @param {Object} manga - The manga object to delete.
  */
-function handleMangaDeletion(manga, event) {
+function handleMangaDeletion(manga) {
+    showDeleteConfirmation('confirm-delete-warning', {}, () => deleteManga(manga));
+}
+
+/**
+ * Shows the delete confirmation dialog and runs an action once the deletion is confirmed.
+ * The listeners of the dialog are removed when it closes, so a cancelled deletion never runs later.
+ *
+ * @param {string} messageKey - The translation key of the warning.
+ * @param {Object} values - Values for the `{placeholders}` of the warning.
+ * @param {Function} onConfirm - The deletion to run once confirmed.
+ */
+function showDeleteConfirmation(messageKey, values, onConfirm) {
     const confirmDiv = document.getElementById('confirmationDialog');
+    const listeners = new AbortController();
+    document.getElementById('confirm-delete-message').textContent = formatTranslation(messageKey, values);
     confirmDiv.style.display = 'flex';
 
     function closeDialog() {
         confirmDiv.style.display = 'none';
+        listeners.abort();
     }
 
-    document.getElementById('cancelConfirmCross').addEventListener('click', closeDialog, { once: true });
-    document.getElementById('cancelConfirm').addEventListener('click', closeDialog, { once: true });
+    document.getElementById('cancelConfirmCross').addEventListener('click', closeDialog, { signal: listeners.signal });
+    document.getElementById('cancelConfirm').addEventListener('click', closeDialog, { signal: listeners.signal });
 
     document.getElementById('confirm').addEventListener('click', () => {
-        deleteManga(manga, event);
+        onConfirm();
         closeDialog();
-    }, { once: true });
+    }, { signal: listeners.signal });
 }
 
 /**
- * Deletes a manga from the manga list.
+ * Deletes a manga from the manga list, after taking a snapshot of the library so it can be restored.
  * 
  * @param {Object} manga - The manga object to delete.
  */
-function deleteManga(manga, event) {
+function deleteManga(manga) {
+    snapshotBeforeChange('delete');
+    const checkpoint = captureHistory([manga]);
     mangaList = mangaList.filter(m => m !== manga);
-    
-    const mangaItemElement = event.target.closest('.manga-item');
-    mangaItemElement.parentElement.removeChild(mangaItemElement);
 
-    saveMangas();
+    recordHistory('delete', checkpoint);
+    refreshAndSaveMangas();
 }
@@ -0,0 +1,126 @@
+/**
+ * Reading statuses a manga can have, in the order they are offered to the user.
+ */
+const MANGA_STATUSES = ['reading', 'completed', 'onHold', 'dropped', 'planToRead'];
+
+/**
+ * Creates a new manga entry from the given data, filling in the defaults of the addition form
+ * and stamping it with a new ID and the current date (and the completion date if it is already completed).
+ *
+ * @param {Object} mangaData - The manga data (at least title and link).
+ *
+ * @returns {Object} The new manga object.
+ */
+function createManga(mangaData) {
+    const date = new Date().toISOString();
+    const manga = {
+        image: '',
+        isImageWorking: true,
+        readChapters: 0,
+        totalChapters: null,
+        score: null,
+        favorite: false,
+        autoTrack: true,
+        tags: [],
+        status: 'reading',
+        completedDate: null,
+        ...mangaData,
+        id: generateId(),
+        dayAdded: date,
+        lastRead: date
+    };
+
+    if (manga.status === 'completed' && !manga.completedDate) {
+        manga.completedDate = date;
+    }
+    return manga;
+}
+
+/**
+ * Sets the reading status of a manga. The completion date is stamped when the manga
+ * becomes completed and cleared when it stops being completed.
+ *
+ * @param {Object} manga - The manga object to update.
+ * @param {string} status - The new status, one of `MANGA_STATUSES`.
+ */
+function setMangaStatus(manga, status) {
+    if (status === 'completed' && manga.status !== 'completed') {
+        manga.completedDate = new Date().toISOString();
+    } else if (status !== 'completed') {
+        manga.completedDate = null;
+    }
+    manga.status = status;
+}
+
+/**
+ * Returns how many chapters are left to read. Mangas without a total chapter count have none left.
+ *
+ * @param {Object} manga - The manga object.
+ *
+ * @returns {number} The number of chapters left, never negative.
+ */
+function getRemainingChapters(manga) {
+    if (manga.totalChapters == null) return 0;
+    return Math.max(manga.totalChapters - (parseInt(manga.readChapters, 10) || 0), 0);
+}
+
+/**
+ * Returns the percentage of chapters read. Mangas without a total chapter count are at 0%.
+ *
+ * @param {Object} manga - The manga object.
+ *
+ * @returns {number} The percentage read, between 0 and 100.
+ */
+function getProgressPercent(manga) {
+    if (!manga.totalChapters) return 0;
+    return Math.min((parseInt(manga.readChapters, 10) || 0) / manga.totalChapters, 1) * 100;
+}
+
+/**
+ * Validates the manga data. Titles do not need to be unique, since mangas are identified by their ID.
+ *
+ * @param {Object} mangaData - The manga data to be validated.
+ *
+ * @returns {string|null} Validation error message or null if data is valid.
+ */
+function validateMangaData(mangaData) {
+    if (!mangaData.title) {
+        return 'modal-title-required';
+    }
+    return null;
+}
+
+/**
+ * Generates a unique title by appending a counter if the title is already used.
+ *
+ * @param {string} title - The original title.
+ * @param {Array} list - The manga list the title must be unique in.
+ *
+ * @returns {string} A unique title that is not currently in use.
+ */
+function generateUniqueTitle(title, list) {
+    if (!isNameUsed(title, list)) return title;
+
+    let counter = 1;
+    let newTitle = `${title} (${counter})`;
+
+    // Increment the counter until a unique title is found
+    while (isNameUsed(newTitle, list)) {
+        counter++;
+        newTitle = `${title} (${counter})`;
+    }
+
+    return newTitle;
+}
+
+/**
+ * Checks if a manga title is already used in a manga list.
+ *
+ * @param {string} title - The manga title to check.
+ * @param {Array} list - The manga list to search.
+ *
+ * @returns {boolean} True if the title is already used, false otherwise.
+ */
+function isNameUsed(title, list) {
+    return list.some(manga => manga.title === title);
+}
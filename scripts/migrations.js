@@ -0,0 +1,81 @@
+/**
+ * Version of the manga list schema written by this build of the extension.
+ * Must match the version of the last entry in `MIGRATIONS`.
+ */
+const CURRENT_SCHEMA_VERSION = 7;
+
+/**
+ * Ordered list of migrations applied to stored or imported manga lists.
+ * Each migration upgrades a list from `version - 1` to `version` and must be safe
+ * to run on entries that already have the new fields (exports carry no version).
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        // Give every manga a stable ID so lookups no longer depend on the title
+        migrate: (list) => list.map(manga => ({ ...manga, id: manga.id || generateId() }))
+    },
+    {
+        version: 2,
+        // Chapter progress detection is enabled by default for existing mangas
+        migrate: (list) => list.map(manga => ({ ...manga, autoTrack: manga.autoTrack ?? true }))
+    },
+    {
+        version: 3,
+        // Mangas carry a list of tag IDs
+        migrate: (list) => list.map(manga => ({ ...manga, tags: Array.isArray(manga.tags) ? manga.tags : [] }))
+    },
+    {
+        version: 4,
+        // Every manga has a reading status, existing ones are being read
+        migrate: (list) => list.map(manga => ({
+            ...manga,
+            status: MANGA_STATUSES.includes(manga.status) ? manga.status : 'reading',
+            completedDate: manga.completedDate || null
+        }))
+    },
+    {
+        version: 5,
+        // Total chapters are optional, null when unknown
+        migrate: (list) => list.map(manga => ({ ...manga, totalChapters: manga.totalChapters ?? null }))
+    },
+    {
+        version: 6,
+        // Scores (0 to 10) are optional, null when unrated
+        migrate: (list) => list.map(manga => ({ ...manga, score: manga.score ?? null }))
+    },
+    {
+        version: 7,
+        // Dates are stored as ISO 8601 strings instead of in the format of the browser locale.
+        // Dates that cannot be parsed are kept as they are, so nothing is lost.
+        migrate: (list) => list.map(manga => ({
+            ...manga,
+            ...Object.fromEntries(MANGA_DATE_FIELDS
+                .filter(field => manga[field])
+                .map(field => [field, toStoredDate(manga[field]) || manga[field]]))
+        }))
+    }
+];
+
+/**
+ * Generates a new unique identifier for a manga or tag.
+ *
+ * @returns {string} A random UUID.
+ */
+function generateId() {
+    return crypto.randomUUID();
+}
+
+/**
+ * Runs every migration newer than the given schema version over a manga list.
+ *
+ * @param {Array} list - The manga list to upgrade.
+ * @param {number} [fromVersion=0] - The schema version the list was stored with (0 for unversioned data).
+ *
+ * @returns {Array} The upgraded manga list.
+ */
+function migrateMangaList(list, fromVersion = 0) {
+    return MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .reduce((migratedList, migration) => migration.migrate(migratedList), list);
+}
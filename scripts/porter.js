@@ -1,20 +1,230 @@
+// MyAnimeList list statuses mapped to manga statuses. Older exports use the numeric codes.
+const MAL_TO_STATUS = {
+    'Reading': 'reading',
+    'Completed': 'completed',
+    'On-Hold': 'onHold',
+    'Dropped': 'dropped',
+    'Plan to Read': 'planToRead',
+    '1': 'reading',
+    '2': 'completed',
+    '3': 'onHold',
+    '4': 'dropped',
+    '6': 'planToRead'
+};
+
+// Manga statuses mapped to MyAnimeList list statuses
+const STATUS_TO_MAL = {
+    reading: 'Reading',
+    completed: 'Completed',
+    onHold: 'On-Hold',
+    dropped: 'Dropped',
+    planToRead: 'Plan to Read'
+};
+
+// Fields of a MyAnimeList entry that only describe the export itself, so they are never reported as unmatched
+const MAL_EXPORT_FIELDS = ['my_id', 'update_on_import'];
+
+// Values MyAnimeList writes for empty fields
+const MAL_EMPTY_VALUES = ['', '0', '0000-00-00'];
+
+// Manga fields that have no place in the MyAnimeList format, reported when they are left out of an export
+const MAL_UNEXPORTED_FIELDS = ['image', 'link', 'favorite'];
+
+// Manga fields that can be exported to and imported from CSV, in column order
+const CSV_FIELDS = [
+    'title', 'link', 'image', 'readChapters', 'totalChapters', 'status',
+    'score', 'favorite', 'tags', 'dayAdded', 'lastRead', 'completedDate'
+];
+
+// Column names recognized for each field when guessing the CSV column mapping, normalized like `normalizeCsvHeader`
+const CSV_HEADER_ALIASES = {
+    title: ['title', 'name', 'manga', 'series'],
+    link: ['link', 'url'],
+    image: ['image', 'cover', 'imageurl', 'coverurl'],
+    readChapters: ['readchapters', 'chaptersread', 'chapters', 'chapter', 'progress'],
+    totalChapters: ['totalchapters', 'total'],
+    status: ['status'],
+    score: ['score', 'rating'],
+    favorite: ['favorite', 'favourite', 'fav'],
+    tags: ['tags', 'genres'],
+    dayAdded: ['dayadded', 'added', 'dateadded', 'startdate'],
+    lastRead: ['lastread'],
+    completedDate: ['completeddate', 'finishdate', 'finished']
+};
+
+// Cell values read as true for the favorite column
+const CSV_TRUE_VALUES = ['true', 'yes', '1', 'x', 'y'];
+
+// Text cells that spreadsheets would run as formulas, such as titles taken from page titles, optionally behind
+// the quotes that escape them. Exported cells get one more leading quote and imported cells lose one.
+const CSV_FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+// Rows of the CSV file waiting for the column mapping to be confirmed
+let pendingCsvRows = [];
+
+// Identifies the backup files made by `handleFileExport`
+const BACKUP_FORMAT = 'manga-library-backup';
+
+// Version of the backup envelope, increased when its layout changes
+const BACKUP_VERSION = 1;
+
+// Storage keys of the preferences included in backups
+const BACKUP_SETTING_KEYS = ['theme', 'preferredLanguage', 'dateDisplay', 'filterOptions', 'filterPresets', 'anilistSettings'];
+
+// Backup waiting for the user to choose what to restore
+let pendingBackup = null;
+
+// Fields compared to tell a conflict from an exact duplicate when importing a JSON file
+const IMPORT_CONFLICT_FIELDS = ['readChapters', 'favorite', 'link'];
+
+// Ways of resolving an import conflict: keep the library manga, take the imported one,
+// keep the library manga with the higher chapter count of both, or keep both mangas
+const IMPORT_RESOLUTIONS = ['local', 'imported', 'higher', 'both'];
+
+// JSON import waiting for confirmation in the merge preview, with its new mangas, duplicates, conflicts and reading log
+let pendingImport = null;
+
 // Attach event listener for the export button in the settings dialog
-document.getElementById('export').addEventListener('click', handleFileExport);
+document.getElementById('export').addEventListener('click', () => handleFileExport());
+
+// Attach event listener for the CSV export button in the settings dialog
+document.getElementById('export-csv').addEventListener('click', handleCsvExport);
+
+// Attach event listener for the MyAnimeList export button in the settings dialog
+document.getElementById('export-mal').addEventListener('click', handleMalExport);
+
+// Attach event listener for the "apply to all" selector of the merge preview
+document.getElementById('importConflictDefault').addEventListener('change', (event) => {
+    document.querySelectorAll('.import-conflict-resolution').forEach(select => {
+        select.value = event.target.value;
+    });
+});
+
+// Attach event listeners for the buttons of the merge preview
+document.getElementById('import-preview-cross-cancel').addEventListener('click', hideImportPreview);
+document.getElementById('import-preview-cancel').addEventListener('click', hideImportPreview);
+document.getElementById('import-preview-confirm').addEventListener('click', applyImport);
+
+// Attach event listeners for the buttons of the restore dialog
+document.getElementById('restore-cross-cancel').addEventListener('click', hideRestoreDialog);
+document.getElementById('restore-cancel').addEventListener('click', hideRestoreDialog);
+document.getElementById('restore-confirm').addEventListener('click', applyRestore);
+
+// Attach event listener for the header checkbox of the CSV import dialog, as it changes the column names
+document.getElementById('csvHasHeader').addEventListener('change', renderCsvMapping);
+
+// Attach event listeners for the buttons of the CSV import dialog
+document.getElementById('csv-import-cross-cancel').addEventListener('click', hideCsvImportDialog);
+document.getElementById('csv-import-cancel').addEventListener('click', hideCsvImportDialog);
+document.getElementById('csv-import-confirm').addEventListener('click', applyCsvImport);
 
 // Attach event listener for the import area in the settings dialog
 document.getElementById('import').addEventListener('change', handleFileImport);
 
 /**
- * Handles the file export by converting the manga list into a JSON file
+ * Handles the file export by converting the manga list and the preferences into a JSON backup
  * and triggering a download in the browser.
+ *
+ * @param {Array} [mangas=mangaList] - The mangas to export, such as the selected ones.
+ */
+function handleFileExport(mangas = mangaList) {
+    chrome.storage.local.get([...BACKUP_SETTING_KEYS, READING_LOG_KEY], function (result) {
+        if (chrome.runtime.lastError) {
+            console.error('Error loading settings for the backup:', chrome.runtime.lastError);
+            return;
+        }
+
+        const { [READING_LOG_KEY]: readingLog, ...settings } = result;
+        const json = JSON.stringify(createBackup(settings, readingLog || {}, mangas), null, 2);
+        downloadFile(json, 'json', 'application/json');
+    });
+}
+
+/**
+ * Builds the backup envelope: metadata, the library with its reading log and the preferences.
+ * Tags are exported by name and color, both on mangas and in the tag filters of the filter options and presets,
+ * and the AniList access token is left out.
+ *
+ * @param {Object} settings - The stored preferences, keyed by `BACKUP_SETTING_KEYS`.
+ * @param {Object} readingLog - The stored reading log. Only the events of the exported mangas are included.
+ * @param {Array} [mangas=mangaList] - The mangas to export.
+ *
+ * @returns {Object} The backup object.
+ */
+function createBackup(settings, readingLog, mangas = mangaList) {
+    const backupSettings = { ...settings };
+
+    if (settings.filterOptions) {
+        backupSettings.filterOptions = {
+            ...settings.filterOptions,
+            includeTags: serializeTags(settings.filterOptions.includeTags),
+            excludeTags: serializeTags(settings.filterOptions.excludeTags)
+        };
+    }
+    if (settings.filterPresets) {
+        backupSettings.filterPresets = settings.filterPresets.map(preset => ({
+            ...preset,
+            filters: {
+                ...preset.filters,
+                includeTags: serializeTags(preset.filters.includeTags),
+                excludeTags: serializeTags(preset.filters.excludeTags)
+            }
+        }));
+    }
+    if (settings.anilistSettings) {
+        const { token, ...anilistSettings } = settings.anilistSettings;
+        backupSettings.anilistSettings = anilistSettings;
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        backupVersion: BACKUP_VERSION,
+        appVersion: chrome.runtime.getManifest().version,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        library: mangas.map(manga => ({ ...manga, tags: serializeTags(manga.tags) })),
+        readingLog: Object.fromEntries(mangas.filter(manga => readingLog[manga.id]).map(manga => [manga.id, readingLog[manga.id]])),
+        settings: backupSettings
+    };
+}
+
+/**
+ * Handles the export of the manga list as a CSV file that spreadsheets can open.
  */
-function handleFileExport() {
+function handleCsvExport() {
+    // The BOM makes spreadsheets read the file as UTF-8
+    downloadFile('\uFEFF' + buildCsv(mangaList), 'csv', 'text/csv');
+}
+
+/**
+ * Handles the export of the manga list in the MyAnimeList XML format, reporting
+ * the fields that the format cannot hold.
+ */
+function handleMalExport() {
+    downloadFile(buildMalXml(mangaList), 'xml', 'application/xml');
+
+    // Links of mangas that have a MyAnimeList ID are rebuilt from it on import
+    const unexportedFields = MAL_UNEXPORTED_FIELDS.filter(field =>
+        mangaList.some(manga => manga[field] && !(field === 'link' && manga.malId))
+    );
+    if (unexportedFields.length > 0) {
+        showModal('modal-mal-unexported-fields', { fields: unexportedFields.join(', ') });
+    }
+}
+
+/**
+ * Triggers the download of a file named after the current date and time.
+ *
+ * @param {string} content - The content of the file.
+ * @param {string} extension - The extension of the file, without the dot.
+ * @param {string} type - The MIME type of the file.
+ */
+function downloadFile(content, extension, type) {
     const now = new Date().toISOString().replace(/[:.]/g, '-').split('T');
     const date = `${now[0]}_${now[1].slice(0, 8)}`;  // YYYY-MM-DD_HH-MM-SS
 
-    const filename = `mangas_${date}.json`;
-    const json = JSON.stringify(mangaList, null, 2);
-    const blob = new Blob([json], { type: "application/json" });
+    const filename = `mangas_${date}.${extension}`;
+    const blob = new Blob([content], { type: type });
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement('a');
@@ -26,43 +236,43 @@ function handleFileExport() {
 
 /**
  * Handles the file import event, reads the selected file, and processes it
- * if it is a valid JSON file.
+ * if it is a JSON file, a MyAnimeList XML export or a CSV file.
  * 
  * @param {Event} event - The file input change event containing the selected file.
  */
 function handleFileImport(event) {
     const file = event.target.files[0];
-    if (file && file.name.endsWith('.json')) {
+    const fileName = file ? file.name.toLowerCase() : '';
+
+    const loaders = { json: handleFileLoad, xml: handleMalFileLoad, csv: handleCsvFileLoad };
+    const loader = loaders[fileName.split('.').pop()];
+
+    if (file && loader) {
         const reader = new FileReader();
-        reader.onload = handleFileLoad;
+        reader.onload = loader;
         reader.readAsText(file);
     } else {
         showModal("modal-invalid-file-type");
-        console.error('Not a JSON file.');
+        console.error('Not a JSON, XML or CSV file.');
     }
 }
 
 /**
- * Processes the loaded file, parses the JSON, validates its contents, 
- * and appends the valid mangas to the current list.
+ * Processes the loaded file and parses the JSON. Backups open the restore dialog,
+ * while plain manga arrays (exported before backups existed) go straight to the merge preview.
  * 
  * @param {ProgressEvent<FileReader>} event - The file load event containing the file data.
  */
 function handleFileLoad(event) {
     try {
-        const importedMangas = JSON.parse(event.target.result);
-        if (Array.isArray(importedMangas) && importedMangas.every(validateMangaObject)) {
-            const validMangas = importedMangas.filter(manga => validateMangaData(manga) == null);
-
-            if (validMangas.length != importedMangas.length) {
-                showModal("modal-not-all-mangas-valid")
-            }
-
-            mangaList.push(...validMangas);
-            refreshAndSaveMangas();   
+        const data = JSON.parse(event.target.result);
+        if (Array.isArray(data)) {
+            previewImportedMangas(data);
+        } else if (isBackup(data)) {
+            showRestoreDialog(data);
         } else {
             showModal("modal-invalid-file");
-            console.error('The file does not contain a valid mangas array.');
+            console.error('The file does not contain a valid mangas array or backup.');
         }
     } catch (error) {
         showModal("modal-parsing-error");
@@ -70,8 +280,911 @@ function handleFileLoad(event) {
     }
 }
 
+/**
+ * Validates imported mangas, migrates them to the current schema and opens the merge preview.
+ * 
+ * @param {Array} importedMangas - The imported manga objects.
+ * @param {number} [fromVersion=0] - The schema version the mangas were exported with.
+ * @param {Object} [readingLog={}] - The reading log exported with the mangas, keyed by their IDs in the file.
+ */
+function previewImportedMangas(importedMangas, fromVersion = 0, readingLog = {}) {
+    if (!importedMangas.every(validateMangaObject)) {
+        showModal("modal-invalid-file");
+        console.error('The file does not contain a valid mangas array.');
+        return;
+    }
+
+    const validMangas = importedMangas.filter(manga => validateMangaData(manga) == null);
+
+    // Library matches are looked up before the migration gives an ID to entries that had none
+    const matches = validMangas.map(findLibraryManga);
+    const migratedMangas = migrateMangaList(validMangas, fromVersion);
+
+    pendingImport = { newMangas: [], duplicates: [], conflicts: [], invalidCount: importedMangas.length - validMangas.length, readingLog: {} };
+    migratedMangas.forEach((imported, index) => {
+        const local = matches[index];
+        const events = readingLog[validMangas[index].id];
+        if (Array.isArray(events)) {
+            pendingImport.readingLog[local ? local.id : imported.id] = events;
+        }
+        if (!local) {
+            pendingImport.newMangas.push(imported);
+        } else if (getConflictingFields(local, imported).length === 0) {
+            pendingImport.duplicates.push(imported);
+        } else {
+            pendingImport.conflicts.push({ local, imported });
+        }
+    });
+
+    showImportPreview();
+}
+
+/**
+ * Checks if parsed JSON is a backup made by `handleFileExport`.
+ *
+ * @param {*} data - The parsed JSON.
+ *
+ * @returns {boolean} True if it has the backup format, a library and settings.
+ */
+function isBackup(data) {
+    return Boolean(data) && data.format === BACKUP_FORMAT &&
+        Array.isArray(data.library) && typeof data.settings === 'object';
+}
+
+/**
+ * Opens the restore dialog, describing the backup and letting the user choose to restore its library, its settings or both.
+ * Backups made by a newer version of the extension are refused.
+ *
+ * @param {Object} backup - The backup object.
+ */
+function showRestoreDialog(backup) {
+    if (backup.backupVersion > BACKUP_VERSION || backup.schemaVersion > CURRENT_SCHEMA_VERSION) {
+        showModal('modal-backup-too-new');
+        return;
+    }
+
+    pendingBackup = backup;
+    document.getElementById('restore-details').textContent = formatTranslation('restore-details', {
+        date: formatDateTime(backup.exportedAt),
+        appVersion: backup.appVersion,
+        schemaVersion: backup.schemaVersion
+    });
+    document.getElementById('restore-library-label').textContent =
+        formatTranslation('restore-library-option', { count: backup.library.length });
+    document.getElementById('restoreLibrary').checked = true;
+    document.getElementById('restoreSettings').checked = true;
+
+    toggleDialog(document.getElementById('restore-dialog'));
+}
+
+/**
+ * Closes the restore dialog and discards the pending backup.
+ */
+function hideRestoreDialog() {
+    pendingBackup = null;
+    const restoreDialog = document.getElementById('restore-dialog');
+    if (!restoreDialog.classList.contains('translate-x-full')) {
+        toggleDialog(restoreDialog);
+    }
+}
+
+/**
+ * Restores the parts of the pending backup chosen in the restore dialog.
+ * Settings are applied right away, while the library goes through the merge preview.
+ */
+function applyRestore() {
+    const backup = pendingBackup;
+    const restoreLibrary = document.getElementById('restoreLibrary').checked;
+    const restoreSettings = document.getElementById('restoreSettings').checked;
+    hideRestoreDialog();
+
+    if (restoreSettings) {
+        applyBackupSettings(backup.settings);
+    }
+    if (restoreLibrary) {
+        previewImportedMangas(backup.library, backup.schemaVersion, backup.readingLog);
+    }
+}
+
+/**
+ * Applies and saves the preferences of a backup. The theme, the language and the date display go through their selectors,
+ * so they are applied exactly as if the user picked them. The local AniList access token is kept.
+ *
+ * @param {Object} settings - The preferences of the backup.
+ */
+function applyBackupSettings(settings) {
+    const selectors = { theme: 'darkmode', preferredLanguage: 'languageSelect', dateDisplay: 'dateDisplay' };
+    Object.entries(selectors).forEach(([key, selectorId]) => {
+        const selector = document.getElementById(selectorId);
+        if (settings[key] && Array.from(selector.options).some(option => option.value === settings[key])) {
+            selector.value = settings[key];
+            selector.dispatchEvent(new Event('change'));
+        }
+    });
+
+    if (settings.filterOptions) {
+        applyFilterOptions({
+            ...settings.filterOptions,
+            includeTags: resolveImportedTags(settings.filterOptions.includeTags),
+            excludeTags: resolveImportedTags(settings.filterOptions.excludeTags)
+        });
+        saveFilterOptions();
+    }
+    if (Array.isArray(settings.filterPresets)) {
+        importFilterPresets(settings.filterPresets.map(preset => ({
+            name: preset.name,
+            filters: {
+                ...preset.filters,
+                includeTags: resolveImportedTags(preset.filters.includeTags),
+                excludeTags: resolveImportedTags(preset.filters.excludeTags)
+            }
+        })));
+    }
+    if (settings.filterOptions || settings.filterPresets) {
+        // Saves the tags created for the tag filters
+        refreshTags(getSelectedTagIds());
+    }
+
+    if (settings.anilistSettings) {
+        document.getElementById('anilistUsername').value = settings.anilistSettings.username || '';
+        document.getElementById('anilistEndpoint').value = settings.anilistSettings.endpoint || DEFAULT_ANILIST_ENDPOINT;
+        saveAniListSettings();
+    }
+}
+
+/**
+ * Lists the fields in which a library manga and an imported copy of it differ.
+ *
+ * @param {Object} local - The manga in the library.
+ * @param {Object} imported - The imported manga.
+ *
+ * @returns {Array<string>} The differing fields among `IMPORT_CONFLICT_FIELDS`.
+ */
+function getConflictingFields(local, imported) {
+    return IMPORT_CONFLICT_FIELDS.filter(field => {
+        if (field === 'readChapters') return Number(local.readChapters) !== Number(imported.readChapters);
+        if (field === 'favorite') return Boolean(local.favorite) !== Boolean(imported.favorite);
+        return String(local[field] || '').trim() !== String(imported[field] || '').trim();
+    });
+}
+
+/**
+ * Opens the merge preview with the new entries, the exact duplicates and a resolution selector for every conflict.
+ */
+function showImportPreview() {
+    const previewList = document.getElementById('import-preview-list');
+    previewList.innerHTML = '';
+
+    const { newMangas, duplicates, conflicts, invalidCount } = pendingImport;
+    appendPreviewSection(previewList, formatTranslation('import-preview-new', { count: newMangas.length }),
+        newMangas.map(manga => manga.title));
+    appendPreviewSection(previewList, formatTranslation('import-preview-duplicates', { count: duplicates.length }),
+        duplicates.map(manga => manga.title));
+    if (invalidCount > 0) {
+        appendPreviewSection(previewList, formatTranslation('import-preview-invalid', { count: invalidCount }), []);
+    }
+
+    const conflictSection = document.getElementById('import-conflicts');
+    conflictSection.classList.toggle('hidden', conflicts.length === 0);
+    document.getElementById('importConflictDefault').value = 'higher';
+    document.getElementById('import-conflicts-title').textContent =
+        formatTranslation('import-preview-conflicts', { count: conflicts.length });
+
+    const conflictList = document.getElementById('import-conflict-list');
+    conflictList.innerHTML = '';
+    conflicts.forEach(({ local, imported }, index) => {
+        conflictList.appendChild(createConflictRow(local, imported, index));
+    });
+
+    toggleDialog(document.getElementById('import-preview-dialog'));
+}
+
+/**
+ * Appends a titled list of mangas to the merge preview.
+ *
+ * @param {HTMLElement} container - The element to append the section to.
+ * @param {string} title - The title of the section, including its count.
+ * @param {Array<string>} titles - The titles of the mangas in the section.
+ */
+function appendPreviewSection(container, title, titles) {
+    const heading = document.createElement('h3');
+    heading.classList.add('text-sm', 'font-semibold', 'mt-4', 'mb-1');
+    heading.textContent = title;
+    container.appendChild(heading);
+
+    titles.forEach(mangaTitle => {
+        const item = document.createElement('p');
+        item.classList.add('text-xs', 'truncate', 'text-light-secondary-text', 'dark:text-dark-secondary-text');
+        item.textContent = mangaTitle;
+        item.title = mangaTitle;
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Creates the row of a conflict, describing the differences and offering a resolution selector.
+ *
+ * @param {Object} local - The manga in the library.
+ * @param {Object} imported - The imported manga.
+ * @param {number} index - The index of the conflict in `pendingImport.conflicts`.
+ *
+ * @returns {HTMLElement} The conflict row.
+ */
+function createConflictRow(local, imported, index) {
+    const row = document.createElement('div');
+    row.classList.add('rounded-md', 'border', 'border-light-border', 'dark:border-dark-border', 'p-2', 'space-y-1');
+
+    const title = document.createElement('p');
+    title.classList.add('text-sm', 'font-medium', 'truncate');
+    title.textContent = local.title;
+    title.title = local.title;
+
+    const differences = document.createElement('p');
+    differences.classList.add('text-xs', 'text-light-secondary-text', 'dark:text-dark-secondary-text', 'break-all');
+    differences.textContent = getConflictingFields(local, imported).map(field => {
+        const format = (value) => field === 'favorite' ? translate(value ? 'import-preview-yes' : 'import-preview-no') : (value || '—');
+        return `${translate(`csv-field-${field}`)}: ${format(local[field])} → ${format(imported[field])}`;
+    }).join(' · ');
+
+    const select = document.createElement('select');
+    select.dataset.conflictIndex = index;
+    select.classList.add(
+        'import-conflict-resolution', 'h-8', 'w-full', 'rounded-md', 'border', 'border-light-border', 'dark:border-dark-border',
+        'bg-light-primary', 'dark:bg-dark-secondary', 'px-2', 'text-sm'
+    );
+    IMPORT_RESOLUTIONS.forEach(resolution => {
+        select.add(new Option(translate(`import-resolution-${resolution}`), resolution));
+    });
+    select.value = document.getElementById('importConflictDefault').value;
+
+    row.appendChild(title);
+    row.appendChild(differences);
+    row.appendChild(select);
+    return row;
+}
+
+/**
+ * Closes the merge preview and discards the pending import.
+ */
+function hideImportPreview() {
+    pendingImport = null;
+    const previewDialog = document.getElementById('import-preview-dialog');
+    if (!previewDialog.classList.contains('translate-x-full')) {
+        toggleDialog(previewDialog);
+    }
+}
+
+/**
+ * Merges the pending import into the library: new mangas are added, exact duplicates are skipped
+ * and every conflict is resolved with the option selected for it.
+ */
+function applyImport() {
+    const { newMangas, conflicts, readingLog } = pendingImport;
+    snapshotBeforeChange('import');
+    const checkpoint = captureHistory();
+
+    newMangas.forEach(manga => {
+        mangaList.push({ ...manga, tags: resolveImportedTags(manga.tags) });
+    });
+
+    document.querySelectorAll('.import-conflict-resolution').forEach(select => {
+        const { local, imported } = conflicts[select.dataset.conflictIndex];
+        resolveImportConflict(local, { ...imported, tags: resolveImportedTags(imported.tags) }, select.value);
+    });
+    recordHistory('import', checkpoint);
+
+    hideImportPreview();
+    saveTags();
+    refreshAndSaveMangas();
+    importReadingLog(readingLog);
+}
+
+/**
+ * Merges the reading log of an imported backup into the stored one, once the pending saves are done.
+ *
+ * @param {Object} readingLog - The imported events, keyed by the IDs of the library mangas they belong to.
+ */
+function importReadingLog(readingLog) {
+    if (Object.keys(readingLog).length === 0) return;
+
+    queueSyncTask(async () => {
+        const stored = await chrome.storage.local.get({ [READING_LOG_KEY]: {} });
+        mergeReadingLogs(stored[READING_LOG_KEY], readingLog);
+        await chrome.storage.local.set({ [READING_LOG_KEY]: stored[READING_LOG_KEY] });
+    }).catch(error => console.error('Error importing the reading history:', error));
+}
+
+/**
+ * Resolves a conflict between a library manga and an imported copy of it.
+ *
+ * @param {Object} local - The manga in the library, updated in place.
+ * @param {Object} imported - The imported manga, with its tags already resolved.
+ * @param {string} resolution - One of `IMPORT_RESOLUTIONS`.
+ */
+function resolveImportConflict(local, imported, resolution) {
+    if (resolution === 'imported') {
+        Object.assign(local, imported, { id: local.id });
+    } else if (resolution === 'higher') {
+        if (Number(imported.readChapters) > Number(local.readChapters)) {
+            Object.assign(local, { readChapters: imported.readChapters, lastRead: imported.lastRead });
+        }
+    } else if (resolution === 'both') {
+        mangaList.push({ ...imported, id: generateId() });
+    }
+}
+
+/**
+ * Processes a loaded MyAnimeList XML export and appends its mangas to the current list.
+ * Fields with a value that have no match in the library are reported to the user.
+ *
+ * @param {ProgressEvent<FileReader>} event - The file load event containing the file data.
+ */
+function handleMalFileLoad(event) {
+    const xml = new DOMParser().parseFromString(event.target.result, 'application/xml');
+    const entries = Array.from(xml.querySelectorAll('myanimelist > manga'));
+
+    if (xml.querySelector('parsererror') || entries.length === 0) {
+        showModal("modal-invalid-file");
+        console.error('The file is not a MyAnimeList manga list.');
+        return;
+    }
+
+    const unmatchedFields = new Set();
+    const importedMangas = entries.map(entry => parseMalEntry(entry, unmatchedFields));
+    const checkpoint = captureHistory([]);
+    const validMangas = importedMangas
+        .filter(mangaData => validateMangaData(mangaData) == null && !isMangaInLibrary(mangaData))
+        .map(({ dayAdded, tags, ...mangaData }) => {
+            const manga = createManga({ ...mangaData, tags: resolveImportedTags(tags) });
+            manga.dayAdded = dayAdded || manga.dayAdded;
+            return manga;
+        });
+
+    if (unmatchedFields.size > 0) {
+        showModal("modal-mal-unmatched-fields", { fields: [...unmatchedFields].join(', ') });
+    } else if (validMangas.length != importedMangas.length) {
+        showModal("modal-not-all-mangas-valid");
+    }
+
+    if (validMangas.length > 0) {
+        snapshotBeforeChange('import');
+    }
+    mangaList.push(...validMangas);
+    recordHistory('import', checkpoint);
+    saveTags();
+    refreshAndSaveMangas();
+}
+
+/**
+ * Converts a `<manga>` entry of a MyAnimeList export into manga data.
+ *
+ * @param {Element} entry - The `<manga>` element.
+ * @param {Set<string>} unmatchedFields - Collects the names of the fields that have a value but no match in the library.
+ *
+ * @returns {Object} The manga data, with tag names that still have to be resolved.
+ */
+function parseMalEntry(entry, unmatchedFields) {
+    const fields = {};
+    Array.from(entry.children).forEach(field => {
+        fields[field.tagName] = field.textContent.trim();
+    });
+
+    const malId = parseInt(fields.manga_mangadb_id, 10) || null;
+    const status = MAL_TO_STATUS[fields.my_status] || 'reading';
+    const mangaData = {
+        malId: malId,
+        title: fields.manga_title || '',
+        link: malId ? `https://myanimelist.net/manga/${malId}` : '',
+        readChapters: parseInt(fields.my_read_chapters, 10) || 0,
+        totalChapters: parseInt(fields.manga_chapters, 10) || null,
+        status: status,
+        score: parseInt(fields.my_score, 10) || null,
+        dayAdded: fromMalDate(fields.my_start_date),
+        completedDate: status === 'completed' ? fromMalDate(fields.my_finish_date) : null,
+        tags: (fields.my_tags || '').split(',').map(tag => tag.trim()).filter(Boolean)
+    };
+
+    const matchedFields = [
+        'manga_mangadb_id', 'manga_title', 'my_read_chapters', 'manga_chapters',
+        'my_status', 'my_score', 'my_start_date', 'my_finish_date', 'my_tags'
+    ];
+    Object.entries(fields).forEach(([name, value]) => {
+        if (!matchedFields.includes(name) && !MAL_EXPORT_FIELDS.includes(name) && !MAL_EMPTY_VALUES.includes(value)) {
+            unmatchedFields.add(name);
+        }
+    });
+
+    return mangaData;
+}
+
+/**
+ * Builds a MyAnimeList XML export of a manga list.
+ *
+ * @param {Array} list - The mangas to export.
+ *
+ * @returns {string} The XML document.
+ */
+function buildMalXml(list) {
+    const entries = list.map(manga => {
+        const tagNames = serializeTags(manga.tags).map(tag => tag.name).join(', ');
+        return `
+    <manga>
+        <manga_mangadb_id>${manga.malId || 0}</manga_mangadb_id>
+        <manga_title><![CDATA[${manga.title.replaceAll(']]>', ']]]]><![CDATA[>')}]]></manga_title>
+        <manga_chapters>${manga.totalChapters || 0}</manga_chapters>
+        <my_read_chapters>${parseInt(manga.readChapters, 10) || 0}</my_read_chapters>
+        <my_start_date>${toMalDate(manga.dayAdded)}</my_start_date>
+        <my_finish_date>${toMalDate(manga.completedDate)}</my_finish_date>
+        <my_score>${manga.score || 0}</my_score>
+        <my_status>${STATUS_TO_MAL[manga.status] || STATUS_TO_MAL.reading}</my_status>
+        <my_tags><![CDATA[${tagNames.replaceAll(']]>', ']]]]><![CDATA[>')}]]></my_tags>
+        <update_on_import>1</update_on_import>
+    </manga>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" ?>
+<myanimelist>
+    <myinfo>
+        <user_export_type>2</user_export_type>
+        <user_total_manga>${list.length}</user_total_manga>
+    </myinfo>${entries}
+</myanimelist>
+`;
+}
+
+/**
+ * Converts a MyAnimeList date (YYYY-MM-DD, where unknown parts are zeros) into a date string, like the ones stored in mangas.
+ *
+ * @param {string} malDate - The MyAnimeList date.
+ *
+ * @returns {string|null} The formatted date, or null if the year is unknown.
+ */
+function fromMalDate(malDate) {
+    const [year, month, day] = (malDate || '').split('-').map(part => parseInt(part, 10) || 0);
+    if (!year) return null;
+    return new Date(year, (month || 1) - 1, day || 1).toISOString();
+}
+
+/**
+ * Converts a date string stored in a manga into a MyAnimeList date.
+ *
+ * @param {string|null} dateString - The stored date.
+ *
+ * @returns {string} The date as YYYY-MM-DD, or '0000-00-00' if there is no valid date.
+ */
+function toMalDate(dateString) {
+    const date = parseStoredDate(dateString);
+    if (!date) return '0000-00-00';
+
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Builds a CSV file of a manga list, with one column per field of `CSV_FIELDS`.
+ * Tags are exported by name and dates as YYYY-MM-DD HH:MM:SS.
+ *
+ * @param {Array} list - The mangas to export.
+ *
+ * @returns {string} The CSV content.
+ */
+function buildCsv(list) {
+    const rows = list.map(manga => CSV_FIELDS.map(field => {
+        if (field === 'tags') return serializeTags(manga.tags).map(tag => tag.name).join('; ');
+        if (MANGA_DATE_FIELDS.includes(field)) return formatCsvDate(manga[field]);
+        return manga[field] ?? '';
+    }));
+
+    return [CSV_FIELDS, ...rows]
+        .map(row => row.map(escapeCsvCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Quotes a CSV cell if it contains a comma, a quote or a line break, and escapes text that starts like a formula
+ * with a leading `'`, so spreadsheets show it as text.
+ *
+ * @param {*} value - The value of the cell.
+ *
+ * @returns {string} The escaped cell.
+ */
+function escapeCsvCell(value) {
+    const text = typeof value === 'string' && CSV_FORMULA_PATTERN.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Formats a date string stored in a manga for CSV files.
+ *
+ * @param {string|null} dateString - The stored date.
+ *
+ * @returns {string} The date as YYYY-MM-DD HH:MM:SS, or an empty string if there is no valid date.
+ */
+function formatCsvDate(dateString) {
+    const date = parseStoredDate(dateString);
+    if (!date) return '';
+
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Parses a loaded CSV file and opens the column mapping dialog.
+ *
+ * @param {ProgressEvent<FileReader>} event - The file load event containing the file data.
+ */
+function handleCsvFileLoad(event) {
+    try {
+        pendingCsvRows = parseCsv(event.target.result);
+    } catch (error) {
+        showModal("modal-parsing-error");
+        console.error('Error parsing CSV:', error);
+        return;
+    }
+
+    if (pendingCsvRows.length === 0) {
+        showModal("modal-invalid-file");
+        console.error('The CSV file has no rows.');
+        return;
+    }
+    showCsvImportDialog();
+}
+
+/**
+ * Parses CSV content into rows of cells. Handles quoted cells (with escaped quotes and line breaks),
+ * a UTF-8 BOM and comma, semicolon or tab delimiters. Empty lines are left out.
+ *
+ * @param {string} text - The CSV content.
+ *
+ * @returns {Array<Array<string>>} The rows of the file.
+ *
+ * @throws {Error} If a quoted cell is never closed.
+ */
+function parseCsv(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const delimiter = detectCsvDelimiter(text);
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted cell.');
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(c => c.trim()));
+}
+
+/**
+ * Guesses the delimiter of a CSV file from its first line.
+ *
+ * @param {string} text - The CSV content.
+ *
+ * @returns {string} The most frequent of comma, semicolon and tab, or a comma if none appears.
+ */
+function detectCsvDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Opens the CSV import dialog with the column mapping of the pending rows.
+ */
+function showCsvImportDialog() {
+    document.getElementById('csvHasHeader').checked = true;
+    document.getElementById('csvDateOrder').value = guessDateOrder();
+    document.getElementById('csv-mapping-section').classList.remove('hidden');
+    document.getElementById('csv-import-confirm').classList.remove('hidden');
+    document.getElementById('csv-summary').classList.add('hidden');
+    renderCsvMapping();
+
+    toggleDialog(document.getElementById('csv-import-dialog'));
+}
+
+/**
+ * Closes the CSV import dialog and discards the pending rows.
+ */
+function hideCsvImportDialog() {
+    pendingCsvRows = [];
+    const csvDialog = document.getElementById('csv-import-dialog');
+    if (!csvDialog.classList.contains('translate-x-full')) {
+        toggleDialog(csvDialog);
+    }
+}
+
+/**
+ * Renders one column selector per manga field. When the first row holds column names,
+ * they are shown next to the column letters and used to guess the mapping.
+ */
+function renderCsvMapping() {
+    const hasHeader = document.getElementById('csvHasHeader').checked;
+    const columnCount = Math.max(...pendingCsvRows.map(row => row.length));
+    const headers = hasHeader ? pendingCsvRows[0].map(normalizeCsvHeader) : [];
+
+    const csvMapping = document.getElementById('csv-mapping');
+    csvMapping.innerHTML = '';
+
+    CSV_FIELDS.forEach(field => {
+        const row = document.createElement('label');
+        row.classList.add('flex', 'items-center', 'justify-between', 'space-x-2');
+
+        const name = document.createElement('span');
+        name.classList.add('text-sm', 'font-medium');
+        name.textContent = translate(`csv-field-${field}`);
+
+        const select = document.createElement('select');
+        select.dataset.field = field;
+        select.classList.add(
+            'h-8', 'w-1/2', 'rounded-md', 'border', 'border-light-border', 'dark:border-dark-border',
+            'bg-light-primary', 'dark:bg-dark-secondary', 'px-2', 'text-sm'
+        );
+        select.add(new Option(translate('csv-column-not-imported'), ''));
+
+        for (let index = 0; index < columnCount; index++) {
+            const label = hasHeader && pendingCsvRows[0][index]
+                ? `${getColumnLetter(index)} · ${pendingCsvRows[0][index]}`
+                : getColumnLetter(index);
+            select.add(new Option(label, index));
+        }
+
+        const guessedIndex = headers.findIndex(header => CSV_HEADER_ALIASES[field].includes(header));
+        select.value = guessedIndex === -1 ? '' : guessedIndex;
+
+        row.appendChild(name);
+        row.appendChild(select);
+        csvMapping.appendChild(row);
+    });
+}
+
+/**
+ * Imports the pending CSV rows with the selected column mapping. Every row goes through
+ * the same validation as the manga form, and rows that fail are skipped and listed in a summary.
+ */
+function applyCsvImport() {
+    const mapping = {};
+    document.querySelectorAll('#csv-mapping select').forEach(select => {
+        if (select.value !== '') mapping[select.dataset.field] = +select.value;
+    });
+
+    if (mapping.title === undefined) {
+        showModal('modal-csv-title-column-required');
+        return;
+    }
+
+    const hasHeader = document.getElementById('csvHasHeader').checked;
+    const dateOrder = document.getElementById('csvDateOrder').value;
+    const firstRow = hasHeader ? 1 : 0;
+    const importedMangas = [];
+    const skippedRows = [];
+    const checkpoint = captureHistory([]);
+
+    pendingCsvRows.slice(firstRow).forEach((cells, index) => {
+        const rowNumber = index + firstRow + 1;
+        const { mangaData, error } = parseCsvRow(cells, mapping, dateOrder);
+
+        if (error) {
+            skippedRows.push({ rowNumber, reason: error });
+            return;
+        }
+
+        const validationError = validateMangaData(mangaData) || (isMangaInLibrary(mangaData) ? 'csv-error-already-in-library' : null);
+        if (validationError) {
+            skippedRows.push({ rowNumber, reason: translate(validationError) });
+            return;
+        }
+
+        const { dayAdded, lastRead, tags, ...fields } = mangaData;
+        const manga = createManga({ ...fields, tags: resolveImportedTags(tags) });
+        manga.dayAdded = dayAdded || manga.dayAdded;
+        manga.lastRead = lastRead || manga.lastRead;
+        importedMangas.push(manga);
+    });
+
+    if (importedMangas.length > 0) {
+        snapshotBeforeChange('import');
+    }
+    mangaList.push(...importedMangas);
+    recordHistory('import', checkpoint);
+    saveTags();
+    refreshAndSaveMangas();
+    renderCsvSummary(importedMangas.length, skippedRows);
+}
+
+/**
+ * Converts the cells of a CSV row into manga data using the column mapping.
+ * Empty cells keep the defaults of the manga form.
+ *
+ * @param {Array<string>} cells - The cells of the row.
+ * @param {Object} mapping - The column index of each mapped field.
+ * @param {string} dateOrder - The order of ambiguous dates, 'mdy' or 'dmy'.
+ *
+ * @returns {Object} Either `{ mangaData }` or `{ error }` with the reason the row cannot be imported.
+ */
+function parseCsvRow(cells, mapping, dateOrder) {
+    const mangaData = { tags: [] };
+
+    for (const [field, index] of Object.entries(mapping)) {
+        let value = (cells[index] || '').trim();
+        if (value.startsWith("'") && CSV_FORMULA_PATTERN.test(value)) {
+            // Drops the quote added by `escapeCsvCell`
+            value = value.slice(1);
+        }
+        if (!value) continue;
+
+        const parsed = parseCsvValue(field, value, dateOrder);
+        if (parsed === undefined) {
+            return { error: formatTranslation('csv-error-invalid-value', { value, column: getColumnLetter(index) }) };
+        }
+        mangaData[field] = parsed;
+    }
+
+    if (mangaData.status === 'completed' && !mangaData.completedDate) {
+        delete mangaData.completedDate;
+    } else if (mangaData.status !== 'completed') {
+        mangaData.completedDate = null;
+    }
+    return { mangaData };
+}
+
+/**
+ * Converts the value of a CSV cell into the value of a manga field.
+ *
+ * @param {string} field - The manga field, one of `CSV_FIELDS`.
+ * @param {string} value - The trimmed, non-empty cell value.
+ * @param {string} dateOrder - The order of ambiguous dates, 'mdy' or 'dmy'.
+ *
+ * @returns {*} The field value, or undefined if the cell is not valid for the field.
+ */
+function parseCsvValue(field, value, dateOrder) {
+    if (MANGA_DATE_FIELDS.includes(field)) return toStoredDate(parseDate(value, dateOrder)) ?? undefined;
+
+    switch (field) {
+        case 'readChapters':
+        case 'totalChapters': {
+            const number = Number(value);
+            return Number.isFinite(number) && number >= 0 ? number : undefined;
+        }
+        case 'score': {
+            const score = Number(value);
+            return Number.isFinite(score) && score >= 0 && score <= 10 ? score : undefined;
+        }
+        case 'status':
+            return parseCsvStatus(value);
+        case 'favorite':
+            return CSV_TRUE_VALUES.includes(value.toLowerCase());
+        case 'tags':
+            return value.split(/[;,|]/).map(tag => tag.trim()).filter(Boolean);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Matches a status written in a CSV cell, either as stored, translated or as MyAnimeList writes it.
+ *
+ * @param {string} value - The cell value.
+ *
+ * @returns {string|undefined} The manga status, or undefined if it is not recognized.
+ */
+function parseCsvStatus(value) {
+    const normalized = normalizeCsvHeader(value);
+    return MANGA_STATUSES.find(status => [status, translate(`status-${status}`), STATUS_TO_MAL[status]]
+        .some(name => normalizeCsvHeader(name) === normalized));
+}
+
+/**
+ * Normalizes a column name or cell value for comparisons, keeping only lowercase letters and digits.
+ *
+ * @param {string} text - The text to normalize.
+ *
+ * @returns {string} The normalized text.
+ */
+function normalizeCsvHeader(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Returns the spreadsheet letter of a column (A, B, …, Z, AA, AB, …).
+ *
+ * @param {number} index - The zero-based column index.
+ *
+ * @returns {string} The column letter.
+ */
+function getColumnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+    }
+    return letter;
+}
+
+/**
+ * Replaces the column mapping with a summary of the CSV import.
+ *
+ * @param {number} importedCount - The number of imported mangas.
+ * @param {Array<Object>} skippedRows - The skipped rows, each with its number and the reason.
+ */
+function renderCsvSummary(importedCount, skippedRows) {
+    document.getElementById('csv-mapping-section').classList.add('hidden');
+    document.getElementById('csv-import-confirm').classList.add('hidden');
+
+    const summary = document.getElementById('csv-summary');
+    summary.classList.remove('hidden');
+    summary.innerHTML = '';
+
+    const total = document.createElement('p');
+    total.classList.add('text-sm', 'font-medium', 'mb-2');
+    total.textContent = formatTranslation('csv-summary-total', { imported: importedCount, skipped: skippedRows.length });
+    summary.appendChild(total);
+
+    skippedRows.forEach(({ rowNumber, reason }) => {
+        const item = document.createElement('p');
+        item.classList.add('text-xs', 'text-light-secondary-text', 'dark:text-dark-secondary-text');
+        item.textContent = formatTranslation('csv-summary-skipped-row', { row: rowNumber, reason });
+        summary.appendChild(item);
+    });
+}
+
+/**
+ * Checks if an imported manga is already in the library.
+ * 
+ * @param {Object} manga - The imported manga object.
+ * 
+ * @returns {boolean} True if the manga is already in the library, false otherwise.
+ */
+function isMangaInLibrary(manga) {
+    return findLibraryManga(manga) !== undefined;
+}
+
+/**
+ * Finds the library manga an imported manga corresponds to, by ID or else by title
+ * (entries exported before IDs existed, or from another browser, only share the title).
+ * 
+ * @param {Object} manga - The imported manga object.
+ * 
+ * @returns {Object|undefined} The library manga, or undefined if the imported one is new.
+ */
+function findLibraryManga(manga) {
+    return (manga.id && mangaList.find(m => m.id === manga.id)) || mangaList.find(m => m.title === manga.title);
+}
+
 /**
  * Validates that the given object contains all the required keys for a manga entry.
+ * The optional `tags` key must be a list of tag names or of objects with a `name`.
  * 
  * @param {Object} obj - The object to validate.
  * 
@@ -88,5 +1201,8 @@ function validateMangaObject(obj) {
         'title',
     ];
 
-    return requiredKeys.every(key => obj.hasOwnProperty(key));
+    const hasValidTags = !obj.hasOwnProperty('tags') || (Array.isArray(obj.tags) &&
+        obj.tags.every(tag => typeof tag === 'string' || (tag && typeof tag.name === 'string')));
+
+    return requiredKeys.every(key => obj.hasOwnProperty(key)) && hasValidTags;
 }
\ No newline at end of file
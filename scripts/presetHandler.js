@@ -0,0 +1,240 @@
+// Saved filter presets, each with its ID, its name and the filters returned by `getCurrentFilters`
+let filterPresets = [];
+
+// Number of mangas each preset shows and the manga list they were counted in. Counting filters the whole list
+// once per preset, so the counts are kept until the mangas or the presets change, rather than on every render.
+let presetCounts = null;
+
+// Attach event listener for DOMContentLoaded to load the saved filter presets
+document.addEventListener('DOMContentLoaded', loadFilterPresets);
+
+// Attach event listener for the preset tabs above the manga list
+document.getElementById('filter-preset-tabs').addEventListener('click', handlePresetTabClick);
+
+// Attach event listeners for saving and deleting presets in the filters dialog
+document.getElementById('save-filter-preset').addEventListener('click', handleSaveFilterPreset);
+document.getElementById('filter-preset-list').addEventListener('click', handlePresetDeletion);
+
+// Attach event listener for the preset name input to save with 'Enter'
+document.getElementById('filter-preset-name').addEventListener('keydown', function (event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        handleSaveFilterPreset();
+    }
+});
+
+/**
+ * Loads the saved filter presets from local storage and shows them.
+ */
+function loadFilterPresets() {
+    chrome.storage.local.get({ filterPresets: [] }, function (result) {
+        if (chrome.runtime.lastError) {
+            console.error('Error loading filter presets:', chrome.runtime.lastError);
+            return;
+        }
+
+        filterPresets = result.filterPresets;
+        resetPresetCounts();
+        renderFilterPresets();
+    });
+}
+
+/**
+ * Saves the filter presets to local storage and shows them.
+ */
+function saveFilterPresets() {
+    chrome.storage.local.set({ filterPresets: filterPresets }, function () {
+        if (chrome.runtime.lastError) {
+            console.error('Error saving filter presets:', chrome.runtime.lastError);
+        }
+    });
+    resetPresetCounts();
+    renderFilterPresets();
+}
+
+/**
+ * Saves the current filters as a preset with the name typed in the filters dialog.
+ * A preset with the same name is replaced.
+ */
+function handleSaveFilterPreset() {
+    const nameInput = document.getElementById('filter-preset-name');
+    const name = nameInput.value.trim();
+    if (!name) {
+        showModal('modal-preset-name-required');
+        return;
+    }
+
+    const filters = structuredClone(getCurrentFilters());
+    const existing = filterPresets.find(preset => preset.name === name);
+    if (existing) {
+        existing.filters = filters;
+    } else {
+        filterPresets.push({ id: generateId(), name: name, filters: filters });
+    }
+
+    nameInput.value = '';
+    saveFilterPresets();
+}
+
+/**
+ * Adds presets to the saved ones, such as the presets of a restored backup. Presets with the same name are replaced.
+ *
+ * @param {Array<Object>} presets - The presets to add, with their tags already resolved.
+ */
+function importFilterPresets(presets) {
+    presets.forEach(preset => {
+        const existing = filterPresets.find(p => p.name === preset.name);
+        if (existing) {
+            existing.filters = preset.filters;
+        } else {
+            filterPresets.push({ id: generateId(), name: preset.name, filters: preset.filters });
+        }
+    });
+    saveFilterPresets();
+}
+
+/**
+ * Deletes the preset whose delete button was clicked in the filters dialog.
+ *
+ * @param {Event} event - The click event on the preset list.
+ */
+function handlePresetDeletion(event) {
+    const button = event.target.closest('[data-preset-id]');
+    if (!button) return;
+
+    filterPresets = filterPresets.filter(preset => preset.id !== button.dataset.presetId);
+    saveFilterPresets();
+}
+
+/**
+ * Applies the preset of the clicked tab, or clears the filters if its preset is already applied.
+ *
+ * @param {Event} event - The click event on the preset tabs.
+ */
+function handlePresetTabClick(event) {
+    const tab = event.target.closest('[data-preset-id]');
+    if (!tab) return;
+
+    const preset = filterPresets.find(p => p.id === tab.dataset.presetId);
+    if (!preset) return;
+
+    applyCurrentFilters(isPresetApplied(preset) ? {} : structuredClone(preset.filters));
+    handleLoadAndSave();
+}
+
+/**
+ * Updates the UI components with every filter of a preset, or with the default filters if empty.
+ *
+ * @param {Object} filters - The filters, as returned by `getCurrentFilters`.
+ */
+function applyCurrentFilters(filters) {
+    applyFilterOptions(filters);
+
+    handleMaxChapters();
+    const minChapters = filters.minChapters || 0;
+    const maxChapters = filters.maxChapters ?? document.getElementById('maxChapters').max;
+    document.getElementById('minChapters').value = minChapters;
+    document.getElementById('minChapterValue').textContent = minChapters;
+    document.getElementById('maxChapters').value = maxChapters;
+    document.getElementById('maxChapterValue').textContent = maxChapters;
+
+    document.getElementById('searchBar').value = filters.search || '';
+}
+
+/**
+ * Checks if the current filters are the ones of a preset.
+ *
+ * @param {Object} preset - The preset.
+ *
+ * @returns {boolean} True if every filter of the preset is applied.
+ */
+function isPresetApplied(preset) {
+    return isSameSyncValue(getCurrentFilters(), { ...getCurrentFilters(), ...preset.filters });
+}
+
+/**
+ * Counts the mangas each preset shows, or reuses the counts if neither the mangas nor the presets changed since.
+ *
+ * @returns {Promise<Array<number>>} A promise that resolves to the number of mangas of each preset.
+ */
+function getPresetCounts() {
+    if (!presetCounts || presetCounts.list !== mangaList) {
+        presetCounts = {
+            list: mangaList,
+            counts: Promise.all(filterPresets.map(async preset => (await filterMangas(mangaList, preset.filters)).length))
+        };
+    }
+    return presetCounts.counts;
+}
+
+/**
+ * Forgets the preset counts, so they are counted again on the next render. Called whenever the mangas are saved
+ * or the presets change.
+ */
+function resetPresetCounts() {
+    presetCounts = null;
+}
+
+/**
+ * Shows the presets as tabs above the manga list, each with the number of mangas it currently shows
+ * and the applied one highlighted, and lists them in the filters dialog.
+ */
+async function renderFilterPresets() {
+    const counts = await getPresetCounts();
+
+    const tabs = document.getElementById('filter-preset-tabs');
+    tabs.innerHTML = '';
+    document.getElementById('filter-presets').classList.toggle('hidden', filterPresets.length === 0);
+
+    filterPresets.forEach((preset, index) => {
+        const applied = isPresetApplied(preset);
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.dataset.presetId = preset.id;
+        tab.setAttribute('aria-pressed', applied);
+        tab.classList.add('inline-flex', 'items-center', 'gap-1', 'whitespace-nowrap', 'rounded-full', 'border', 'px-3', 'py-1', 'text-sm', 'transition-colors');
+        tab.classList.add(...(applied
+            ? ['border-light-highlight-primary', 'bg-light-highlight-primary', 'text-light-highlight-text', 'dark:border-dark-highlight-primary', 'dark:bg-dark-highlight-primary', 'dark:text-dark-highlight-text']
+            : ['border-light-border', 'dark:border-dark-border', 'hover:bg-light-secondary', 'dark:hover:bg-dark-secondary']));
+
+        const name = document.createElement('span');
+        name.textContent = preset.name;
+        const count = document.createElement('span');
+        count.classList.add('text-xs', 'opacity-70');
+        count.textContent = counts[index];
+
+        tab.appendChild(name);
+        tab.appendChild(count);
+        tabs.appendChild(tab);
+    });
+
+    renderFilterPresetList();
+}
+
+/**
+ * Lists the presets in the filters dialog, each with a button to delete it.
+ */
+function renderFilterPresetList() {
+    const list = document.getElementById('filter-preset-list');
+    list.innerHTML = '';
+    document.getElementById('noFilterPresetsMessage').classList.toggle('hidden', filterPresets.length > 0);
+
+    filterPresets.forEach(preset => {
+        const row = document.createElement('li');
+        row.classList.add('flex', 'items-center', 'justify-between', 'gap-2', 'text-sm');
+
+        const name = document.createElement('span');
+        name.classList.add('truncate');
+        name.textContent = preset.name;
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.dataset.presetId = preset.id;
+        deleteButton.classList.add('text-light-red', 'hover:text-dark-red', 'text-lg', 'font-bold', 'px-2');
+        deleteButton.textContent = '×';
+
+        row.appendChild(name);
+        row.appendChild(deleteButton);
+        list.appendChild(row);
+    });
+}
@@ -0,0 +1,65 @@
+// Storage key of the reading log, which maps each manga ID to its events, oldest first.
+// The events of a deleted manga are kept, so undoing or restoring the deletion brings its history back.
+const READING_LOG_KEY = 'readingLog';
+
+// Fields followed by the reading log, keyed by the short name of their events
+const READING_LOG_FIELDS = { c: 'readChapters', s: 'status', l: 'link' };
+
+/**
+ * Appends an event to the reading log for every followed field that differs between two versions of the library.
+ * Each event is stored as `[time, type, value]`, with the time in base 36 and the type a key of `READING_LOG_FIELDS`.
+ * Mangas that were not stored yet get an event for each followed field, recording where their reading started.
+ *
+ * @param {Array} previousList - The stored mangas.
+ * @param {Array} list - The mangas about to be stored.
+ * @param {Object} log - The reading log, updated in place.
+ * @param {number} now - The time of the change, in milliseconds.
+ *
+ * @returns {boolean} True if any event was appended.
+ */
+function recordReadingEvents(previousList, list, log, now) {
+    const previousById = new Map(previousList.map(manga => [manga.id, manga]));
+    const time = now.toString(36);
+    let recorded = false;
+
+    list.forEach(manga => {
+        const previous = previousById.get(manga.id);
+        Object.entries(READING_LOG_FIELDS).forEach(([type, field]) => {
+            if (manga[field] === undefined || (previous && previous[field] === manga[field])) return;
+
+            (log[manga.id] = log[manga.id] || []).push([time, type, manga[field]]);
+            recorded = true;
+        });
+    });
+    return recorded;
+}
+
+/**
+ * Decodes the stored events of a manga.
+ *
+ * @param {Array} [events=[]] - The stored events of the manga.
+ *
+ * @returns {Array<Object>} The events, oldest first, each with its time in milliseconds (`at`), its `field` and its `value`.
+ */
+function decodeReadingEvents(events = []) {
+    return events
+        .filter(([, type]) => READING_LOG_FIELDS[type])
+        .map(([time, type, value]) => ({ at: parseInt(time, 36), field: READING_LOG_FIELDS[type], value }));
+}
+
+/**
+ * Merges the events of another reading log, such as the one of a backup, into a reading log.
+ * Events both logs hold are kept once and the events of each manga stay in chronological order.
+ *
+ * @param {Object} log - The reading log, updated in place.
+ * @param {Object} otherLog - The reading log to merge in.
+ */
+function mergeReadingLogs(log, otherLog) {
+    Object.entries(otherLog).forEach(([mangaId, events]) => {
+        if (!Array.isArray(events)) return;
+
+        const merged = new Map((log[mangaId] || []).map(event => [JSON.stringify(event), event]));
+        events.forEach(event => merged.set(JSON.stringify(event), event));
+        log[mangaId] = [...merged.values()].sort((a, b) => parseInt(a[0], 36) - parseInt(b[0], 36));
+    });
+}
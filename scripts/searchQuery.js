@@ -0,0 +1,308 @@
+// Filters of the search bar query language, each parsing its value into a test on mangas, or into null if the value is invalid
+const SEARCH_FILTERS = {
+    fav: parseFavoriteFilter,
+    ch: value => {
+        const test = parseSearchComparison(value, parseSearchNumber);
+        return test && (manga => test(Number(manga.readChapters) || 0));
+    },
+    site: value => {
+        const site = normalizeSearchText(value);
+        return site ? (manga => normalizeSearchText(getSearchHostname(manga.link)).includes(site)) : null;
+    },
+    added: value => parseDateFilter(value, 'dayAdded'),
+    read: value => parseDateFilter(value, 'lastRead')
+};
+
+// Values accepted by `fav:`
+const SEARCH_BOOLEANS = { yes: true, true: true, 1: true, no: false, false: false, 0: false };
+
+// Units of the ages accepted by date filters, in days
+const SEARCH_AGE_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+
+// Length of a day in milliseconds
+const SEARCH_DAY = 24 * 60 * 60 * 1000;
+
+// Scores of a title that contains a search word at its start, at the start of one of its words, or anywhere else.
+// Titles that only match with typos score less than any of them.
+const SEARCH_SCORES = { start: 4, wordStart: 3, inside: 2, typo: 1 };
+
+/**
+ * Parses a search bar query. Terms are separated by spaces and can be negated with a leading `-`:
+ * `filter:value` terms filter on a field, quoted phrases must appear in the title as they are,
+ * and other words are matched against the title with typo tolerance.
+ * Terms that cannot be understood are reported as hints and left out of the search.
+ *
+ * @param {string} text - The query typed in the search bar.
+ *
+ * @returns {Object} The parsed query, with its `filters` (tests on mangas), `phrases` and `words`
+ * (each with its normalized `text` and whether it is `negated`), and the `hints` about the terms left out,
+ * each with its translation `key` and the `term` it is about.
+ */
+function parseSearchQuery(text) {
+    const query = { filters: [], phrases: [], words: [], hints: [] };
+    const termPattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)("?)|(\S*))/gi;
+
+    for (const [term, negation, name, phrase, closingQuote, word] of text.matchAll(termPattern)) {
+        const negated = negation === '-';
+        const value = phrase ?? word;
+
+        if (phrase !== undefined && !closingQuote) {
+            query.hints.push({ key: 'search-hint-quote', term });
+        }
+
+        if (name && SEARCH_FILTERS[name.toLowerCase()]) {
+            const test = SEARCH_FILTERS[name.toLowerCase()](value.trim());
+            if (test) {
+                query.filters.push(negated ? manga => !test(manga) : test);
+            } else {
+                query.hints.push({ key: `search-hint-${name.toLowerCase()}`, term });
+            }
+            continue;
+        }
+
+        // Unknown filters, such as the one in "Re:Zero", are searched as text
+        if (name) {
+            query.hints.push({ key: 'search-hint-unknown', term });
+        }
+        const normalized = normalizeSearchText(name ? `${name}:${value}` : value).trim();
+        if (!normalized || normalized === '-') continue;
+
+        if (phrase !== undefined) {
+            query.phrases.push({ text: normalized, negated });
+        } else {
+            query.words.push({ text: normalized, negated });
+        }
+    }
+    return query;
+}
+
+/**
+ * Checks a manga against a parsed query and scores how well its title matches the query words.
+ *
+ * @param {Object} manga - The manga object.
+ * @param {Object} query - The query parsed by `parseSearchQuery`.
+ *
+ * @returns {number|null} The score of the manga, higher for better matches, or null if it does not match.
+ */
+function matchSearchQuery(manga, query) {
+    if (!query.filters.every(test => test(manga))) return null;
+
+    const title = normalizeSearchText(manga.title);
+    let score = 0;
+
+    for (const phrase of query.phrases) {
+        if (title.includes(phrase.text) === phrase.negated) return null;
+        if (!phrase.negated) score += SEARCH_SCORES.wordStart;
+    }
+
+    for (const word of query.words) {
+        if (word.negated) {
+            if (title.includes(word.text)) return null;
+            continue;
+        }
+
+        const wordScore = scoreSearchWord(title, word.text);
+        if (wordScore === 0) return null;
+        score += wordScore;
+    }
+    return score;
+}
+
+/**
+ * Scores how well a normalized title matches a search word. Titles that do not contain the word
+ * can still match one of their words, or the start of one, with a typo for every four letters of the search word.
+ *
+ * @param {string} title - The normalized title.
+ * @param {string} word - The normalized search word.
+ *
+ * @returns {number} The score, one of `SEARCH_SCORES` divided by the number of typos plus one, or 0 if it does not match.
+ */
+function scoreSearchWord(title, word) {
+    const index = title.indexOf(word);
+    if (index === 0) return SEARCH_SCORES.start;
+    if (index > 0) return /[\p{L}\p{N}]/u.test(title[index - 1]) ? SEARCH_SCORES.inside : SEARCH_SCORES.wordStart;
+
+    const maxTypos = Math.floor(word.length / 4);
+    if (maxTypos === 0) return 0;
+
+    const typos = Math.min(...title.split(/[^\p{L}\p{N}]+/u).filter(Boolean).map(titleWord => Math.min(
+        getEditDistance(word, titleWord),
+        getEditDistance(word, titleWord.slice(0, word.length))
+    )));
+    return typos <= maxTypos ? SEARCH_SCORES.typo / (typos + 1) : 0;
+}
+
+/**
+ * Counts the edits (insertions, deletions, substitutions and swaps of adjacent letters) that turn a text into another.
+ *
+ * @param {string} a - The first text.
+ * @param {string} b - The second text.
+ *
+ * @returns {number} The number of edits.
+ */
+function getEditDistance(a, b) {
+    const distances = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) distances[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            distances[i][j] = Math.min(distances[i - 1][j] + 1, distances[i][j - 1] + 1, distances[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return distances[a.length][b.length];
+}
+
+/**
+ * Lowercases a text and strips its accents, so searches ignore both.
+ *
+ * @param {string} text - The text.
+ *
+ * @returns {string} The normalized text.
+ */
+function normalizeSearchText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Returns the hostname of a manga link.
+ *
+ * @param {string} link - The link.
+ *
+ * @returns {string} The hostname, or the link itself if it is not a valid URL.
+ */
+function getSearchHostname(link) {
+    try {
+        return new URL(link).hostname;
+    } catch (error) {
+        return link || '';
+    }
+}
+
+/**
+ * Parses the value of `fav:`.
+ *
+ * @param {string} value - The value, such as `yes` or `no`.
+ *
+ * @returns {Function|null} The test on mangas, or null if the value is invalid.
+ */
+function parseFavoriteFilter(value) {
+    const favorite = SEARCH_BOOLEANS[value.toLowerCase()];
+    return favorite === undefined ? null : manga => Boolean(manga.favorite) === favorite;
+}
+
+/**
+ * Parses the value of a date filter, either dates (`<2024-01-01`, `2024-03`, `2023..2024`)
+ * or ages (`>30d`, `<2w`, `1m..1y`), compared in whole days. Mangas without the date never match.
+ *
+ * @param {string} value - The value.
+ * @param {string} field - The manga field holding the date.
+ *
+ * @returns {Function|null} The test on mangas, or null if the value is invalid.
+ */
+function parseDateFilter(value, field) {
+    const dateTest = parseSearchComparison(value, parseSearchDate);
+    if (dateTest) {
+        return manga => {
+            const time = getStoredTime(manga[field]);
+            return time !== 0 && dateTest(time);
+        };
+    }
+
+    const ageTest = parseSearchComparison(value, parseSearchAge);
+    if (ageTest) {
+        const now = Date.now();
+        return manga => {
+            const time = getStoredTime(manga[field]);
+            return time !== 0 && ageTest(Math.floor((now - time) / SEARCH_DAY));
+        };
+    }
+    return null;
+}
+
+/**
+ * Parses a comparison: an operand alone (equal to), preceded by `<`, `<=`, `>`, `>=` or `=`, or a range `a..b`.
+ * Operands are intervals, such as a whole day for a date, so `<` means before the interval and `>` after it.
+ *
+ * @param {string} value - The comparison.
+ * @param {Function} parseOperand - Parses an operand into its interval `{ start, end }` (end excluded), or null if it is invalid.
+ *
+ * @returns {Function|null} The test on compared values, or null if the comparison is invalid.
+ */
+function parseSearchComparison(value, parseOperand) {
+    const range = value.match(/^(.+?)\.\.(.+)$/);
+    if (range) {
+        const from = parseOperand(range[1]);
+        const to = parseOperand(range[2]);
+        return from && to ? x => x >= from.start && x < to.end : null;
+    }
+
+    const [, operator, operandText] = value.match(/^(<=|>=|<|>|=)?(.*)$/);
+    const operand = parseOperand(operandText);
+    if (!operand) return null;
+
+    switch (operator) {
+        case '<': return x => x < operand.start;
+        case '<=': return x => x < operand.end;
+        case '>': return x => x >= operand.end;
+        case '>=': return x => x >= operand.start;
+        default: return x => x >= operand.start && x < operand.end;
+    }
+}
+
+/**
+ * Parses a whole number operand.
+ *
+ * @param {string} text - The operand.
+ *
+ * @returns {Object|null} The interval of the number, or null if it is not a whole number.
+ */
+function parseSearchNumber(text) {
+    if (!/^\d+$/.test(text)) return null;
+    const number = parseInt(text, 10);
+    return { start: number, end: number + 1 };
+}
+
+/**
+ * Parses a date operand: a year, a month (`2024-03`) or a day (`2024-03-15`), in local time.
+ *
+ * @param {string} text - The operand.
+ *
+ * @returns {Object|null} The interval of the year, month or day in milliseconds, or null if it is not a valid date.
+ */
+function parseSearchDate(text) {
+    const match = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (!match) return null;
+
+    const [year, month, day] = [Number(match[1]), Number(match[2] || 1), Number(match[3] || 1)];
+    const start = new Date(year, month - 1, day);
+    if (start.getMonth() !== month - 1 || start.getDate() !== day) return null;
+
+    const end = new Date(start);
+    if (match[3]) {
+        end.setDate(end.getDate() + 1);
+    } else if (match[2]) {
+        end.setMonth(end.getMonth() + 1);
+    } else {
+        end.setFullYear(end.getFullYear() + 1);
+    }
+    return { start: start.getTime(), end: end.getTime() };
+}
+
+/**
+ * Parses an age operand, a number followed by a unit of `SEARCH_AGE_UNITS` (`30d`, `2w`, `6m`, `1y`).
+ *
+ * @param {string} text - The operand.
+ *
+ * @returns {Object|null} The interval of the age in days, or null if it is not a valid age.
+ */
+function parseSearchAge(text) {
+    const match = text.toLowerCase().match(/^(\d+)([dwmy])$/);
+    if (!match) return null;
+
+    const days = Number(match[1]) * SEARCH_AGE_UNITS[match[2]];
+    return { start: days, end: days + 1 };
+}
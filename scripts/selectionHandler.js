@@ -0,0 +1,219 @@
+// Classes that highlight the selected manga items
+const SELECTED_MANGA_CLASSES = ['ring-2', 'ring-light-highlight-primary', 'dark:ring-dark-highlight-primary'];
+
+// Buttons of the bulk actions, disabled while no manga is selected
+const BULK_ACTION_BUTTONS = ['bulk-favorite', 'bulk-unfavorite', 'bulk-chapters-apply', 'bulk-export', 'bulk-delete'];
+
+// Whether the manga list shows a checkbox on each manga to select it
+let selectionMode = false;
+
+// IDs of the selected mangas
+let selectedMangaIds = new Set();
+
+// ID of the manga last checked or unchecked, where shift-click ranges start
+let selectionAnchorId = null;
+
+// Attach event listeners for entering and leaving the selection mode
+document.getElementById('selection-toggle').addEventListener('click', () => setSelectionMode(!selectionMode));
+document.getElementById('selection-close').addEventListener('click', () => setSelectionMode(false));
+
+// Attach event listeners for selecting every shown manga and clearing the selection
+document.getElementById('selection-all').addEventListener('click', selectShownMangas);
+document.getElementById('selection-clear').addEventListener('click', () => {
+    selectedMangaIds.clear();
+    updateSelection();
+});
+
+// Attach event listeners for the bulk actions of the selection bar
+document.getElementById('bulk-favorite').addEventListener('click', () => handleBulkFavorite(true));
+document.getElementById('bulk-unfavorite').addEventListener('click', () => handleBulkFavorite(false));
+document.getElementById('bulk-chapters-apply').addEventListener('click', handleBulkChapters);
+document.getElementById('bulk-export').addEventListener('click', () => handleFileExport(getSelectedMangas()));
+document.getElementById('bulk-delete').addEventListener('click', handleBulkDeletion);
+
+// Attach event listener for the chapters input of the selection bar to apply with 'Enter'
+document.getElementById('bulk-chapters').addEventListener('keydown', function (event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        handleBulkChapters();
+    }
+});
+
+/**
+ * Enters or leaves the selection mode, starting with an empty selection, and reloads the list
+ * to show or hide the checkboxes.
+ *
+ * @param {boolean} enabled - True to enter the selection mode.
+ */
+function setSelectionMode(enabled) {
+    selectionMode = enabled;
+    selectedMangaIds.clear();
+    selectionAnchorId = null;
+
+    document.getElementById('selection-toggle').setAttribute('aria-pressed', enabled);
+    document.getElementById('selection-bar').classList.toggle('hidden', !enabled);
+    loadFilteredMangas();
+}
+
+/**
+ * Selects or deselects the manga whose checkbox was clicked. With Shift held, every manga shown
+ * between it and the manga clicked before takes the same state.
+ *
+ * @param {Object} manga - The manga object of the clicked checkbox.
+ * @param {Event} event - The click event on the checkbox.
+ */
+function handleMangaSelection(manga, event) {
+    const selected = event.target.checked;
+    const index = renderedMangas.findIndex(m => m.id === manga.id);
+    const anchorIndex = renderedMangas.findIndex(m => m.id === selectionAnchorId);
+
+    const range = event.shiftKey && anchorIndex !== -1 && index !== -1
+        ? renderedMangas.slice(Math.min(index, anchorIndex), Math.max(index, anchorIndex) + 1)
+        : [manga];
+    range.forEach(m => {
+        if (selected) {
+            selectedMangaIds.add(m.id);
+        } else {
+            selectedMangaIds.delete(m.id);
+        }
+    });
+
+    selectionAnchorId = manga.id;
+    updateSelection();
+}
+
+/**
+ * Selects every manga the current filters show, including the ones not rendered yet.
+ */
+function selectShownMangas() {
+    renderedMangas.forEach(manga => selectedMangaIds.add(manga.id));
+    updateSelection();
+}
+
+/**
+ * Returns the selected mangas, in library order.
+ *
+ * @returns {Array<Object>} The selected manga objects.
+ */
+function getSelectedMangas() {
+    return mangaList.filter(manga => selectedMangaIds.has(manga.id));
+}
+
+/**
+ * Shows the selection on the rendered manga items and in the selection bar.
+ * Items that are not rendered show it once they are, as their cached elements are rebuilt.
+ */
+function updateSelection() {
+    document.querySelectorAll('#mangaListContainer .manga-item').forEach(mangaItem => {
+        const selected = selectedMangaIds.has(mangaItem.dataset.mangaId);
+        const checkbox = mangaItem.querySelector('#select');
+        if (checkbox) {
+            checkbox.checked = selected;
+        }
+        SELECTED_MANGA_CLASSES.forEach(className => mangaItem.classList.toggle(className, selected));
+
+        const manga = mangaList.find(m => m.id === mangaItem.dataset.mangaId);
+        if (manga) {
+            markMangaElementCurrent(manga);
+        }
+    });
+    renderSelectionBar();
+}
+
+/**
+ * Shows how many mangas are selected and how many the current filters show, and enables the bulk actions
+ * while the selection is not empty. Mangas that left the library, such as through an undo, are deselected.
+ */
+function renderSelectionBar() {
+    if (!selectionMode) return;
+
+    const libraryIds = new Set(mangaList.map(manga => manga.id));
+    selectedMangaIds.forEach(id => {
+        if (!libraryIds.has(id)) {
+            selectedMangaIds.delete(id);
+        }
+    });
+
+    document.getElementById('selection-count').textContent =
+        formatTranslation('selection-count', { count: selectedMangaIds.size });
+    document.getElementById('selection-all').textContent =
+        formatTranslation('select-all-button', { count: renderedMangas.length });
+    BULK_ACTION_BUTTONS.forEach(id => {
+        document.getElementById(id).disabled = selectedMangaIds.size === 0;
+    });
+}
+
+/**
+ * Adds the selected mangas to the favorites or removes them, as a single action of the undo history.
+ *
+ * @param {boolean} favorite - True to favorite the selected mangas, false to unfavorite them.
+ */
+function handleBulkFavorite(favorite) {
+    const mangas = getSelectedMangas();
+    const checkpoint = captureHistory(mangas);
+    mangas.forEach(manga => {
+        manga.favorite = favorite;
+    });
+
+    recordHistory('bulk-favorite', checkpoint);
+    refreshAndSaveMangas();
+}
+
+/**
+ * Sets the read chapters of the selected mangas to the number typed in the selection bar,
+ * or offsets them by it when it starts with '+' or '-'. Chapter counts never go below 0.
+ * A snapshot of the library is taken first, since the previous counts are overwritten.
+ */
+function handleBulkChapters() {
+    if (selectedMangaIds.size === 0) return;
+
+    const input = document.getElementById('bulk-chapters');
+    const match = input.value.trim().match(/^([+-]?)(\d+)$/);
+    if (!match) {
+        showModal('modal-bulk-chapters-invalid');
+        return;
+    }
+
+    const [, sign, digits] = match;
+    const amount = parseInt(digits, 10);
+    const mangas = getSelectedMangas();
+    const maxChapters = getMaxChapters();
+
+    snapshotBeforeChange('bulk');
+    const checkpoint = captureHistory(mangas);
+    const lastRead = new Date().toISOString();
+    mangas.forEach(manga => {
+        const current = parseInt(manga.readChapters, 10) || 0;
+        const chapters = Math.max(sign === '+' ? current + amount : sign === '-' ? current - amount : amount, 0);
+        if (chapters !== current) {
+            manga.readChapters = chapters;
+            manga.lastRead = lastRead;
+        }
+    });
+
+    const highest = Math.max(...mangas.map(manga => manga.readChapters));
+    if (getChapterRangeMode() === 'read' && highest > maxChapters) {
+        handleMaxChapters(highest);
+    }
+
+    input.value = '';
+    recordHistory('bulk-chapters', checkpoint);
+    refreshAndSaveMangas();
+}
+
+/**
+ * Deletes the selected mangas after a single confirmation. A snapshot of the library is taken first,
+ * and the deletion is a single action of the undo history.
+ */
+function handleBulkDeletion() {
+    const mangas = getSelectedMangas();
+    showDeleteConfirmation('confirm-bulk-delete-warning', { count: mangas.length }, () => {
+        snapshotBeforeChange('bulk');
+        const checkpoint = captureHistory(mangas);
+        mangaList = mangaList.filter(manga => !mangas.includes(manga));
+        selectedMangaIds.clear();
+
+        recordHistory('bulk-delete', checkpoint);
+        refreshAndSaveMangas();
+    });
+}
@@ -0,0 +1,274 @@
+// Manga fields compared between a snapshot and the library, labelled like the CSV columns
+const SNAPSHOT_DIFF_FIELDS = [
+    'title', 'link', 'image', 'readChapters', 'totalChapters', 'status', 'score', 'favorite', 'tags', 'completedDate'
+];
+
+// Compared fields short enough to show their old and new values
+const SNAPSHOT_VALUE_FIELDS = ['readChapters', 'totalChapters', 'status', 'score', 'favorite'];
+
+// Snapshot open in the snapshot browser, with its mangas migrated to the current schema
+let openSnapshot = null;
+
+// Attach event listener for the "Browse snapshots" button in the settings dialog
+document.getElementById('snapshots-open').addEventListener('click', showSnapshotsDialog);
+
+// Attach event listeners for the buttons of the snapshot browser
+document.getElementById('snapshots-cross-cancel').addEventListener('click', hideSnapshotsDialog);
+document.getElementById('snapshot-back').addEventListener('click', renderSnapshotList);
+document.getElementById('snapshot-restore-selected').addEventListener('click', restoreSelectedFromSnapshot);
+document.getElementById('snapshot-restore-all').addEventListener('click', restoreSnapshot);
+
+/**
+ * Takes a snapshot of the library before a destructive change. Must be called before the change is saved.
+ *
+ * @param {string} reason - Why the snapshot is taken, one of `SNAPSHOT_REASONS`.
+ */
+function snapshotBeforeChange(reason) {
+    takeSnapshot(reason).catch(error => console.error('Error taking a library snapshot:', error));
+}
+
+/**
+ * Opens the snapshot browser on the list of snapshots.
+ */
+function showSnapshotsDialog() {
+    renderSnapshotList();
+    toggleDialog(document.getElementById('snapshots-dialog'));
+}
+
+/**
+ * Closes the snapshot browser.
+ */
+function hideSnapshotsDialog() {
+    openSnapshot = null;
+    const snapshotsDialog = document.getElementById('snapshots-dialog');
+    if (!snapshotsDialog.classList.contains('translate-x-full')) {
+        toggleDialog(snapshotsDialog);
+    }
+}
+
+/**
+ * Shows the list of snapshots, newest first.
+ */
+async function renderSnapshotList() {
+    openSnapshot = null;
+    document.getElementById('snapshot-details').classList.add('hidden');
+
+    const snapshotList = document.getElementById('snapshot-list');
+    snapshotList.classList.remove('hidden');
+    snapshotList.innerHTML = '';
+
+    let snapshots;
+    try {
+        snapshots = await getSnapshots();
+    } catch (error) {
+        console.error('Error loading library snapshots:', error);
+        showModal('modal-snapshots-error');
+        return;
+    }
+
+    if (snapshots.length === 0) {
+        const empty = document.createElement('p');
+        empty.classList.add('text-sm', 'text-light-secondary-text', 'dark:text-dark-secondary-text');
+        empty.textContent = translate('snapshots-empty');
+        snapshotList.appendChild(empty);
+        return;
+    }
+
+    snapshots.forEach(snapshot => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.classList.add(
+            'w-full', 'text-left', 'rounded-md', 'border', 'border-light-border', 'dark:border-dark-border', 'p-2',
+            'hover:bg-light-secondary', 'dark:hover:bg-dark-secondary'
+        );
+
+        const date = document.createElement('p');
+        date.classList.add('text-sm', 'font-medium');
+        date.textContent = formatDateTime(snapshot.createdAt);
+
+        const details = document.createElement('p');
+        details.classList.add('text-xs', 'text-light-secondary-text', 'dark:text-dark-secondary-text');
+        details.textContent = formatTranslation('snapshot-item-details', {
+            reason: translate(`snapshot-reason-${snapshot.reason}`),
+            count: snapshot.mangaList.length
+        });
+
+        item.appendChild(date);
+        item.appendChild(details);
+        item.addEventListener('click', () => renderSnapshotDetails(snapshot));
+        snapshotList.appendChild(item);
+    });
+}
+
+/**
+ * Shows how a snapshot differs from the current library: the mangas deleted and changed since,
+ * which can be restored one by one, and the mangas added since, which only a full restore removes.
+ *
+ * @param {Object} snapshot - The snapshot to compare.
+ */
+function renderSnapshotDetails(snapshot) {
+    openSnapshot = { ...snapshot, mangaList: migrateMangaList(snapshot.mangaList, snapshot.schemaVersion) };
+    const { deleted, changed, added } = diffSnapshot(openSnapshot.mangaList);
+
+    document.getElementById('snapshot-list').classList.add('hidden');
+    document.getElementById('snapshot-details').classList.remove('hidden');
+    document.getElementById('snapshot-summary').textContent = formatTranslation('snapshot-summary', {
+        date: formatDateTime(snapshot.createdAt),
+        count: snapshot.mangaList.length
+    });
+
+    const diff = document.getElementById('snapshot-diff');
+    diff.innerHTML = '';
+
+    appendPreviewSection(diff, formatTranslation('snapshot-diff-deleted', { count: deleted.length }), []);
+    deleted.forEach(manga => diff.appendChild(createSnapshotRow(manga, '')));
+
+    appendPreviewSection(diff, formatTranslation('snapshot-diff-changed', { count: changed.length }), []);
+    changed.forEach(({ manga, local, fields }) => {
+        diff.appendChild(createSnapshotRow(manga, describeSnapshotChanges(local, manga, fields)));
+    });
+
+    appendPreviewSection(diff, formatTranslation('snapshot-diff-added', { count: added.length }),
+        added.map(manga => manga.title));
+
+    document.getElementById('snapshot-restore-selected').disabled = deleted.length + changed.length === 0;
+}
+
+/**
+ * Compares the mangas of a snapshot with the library.
+ *
+ * @param {Array} snapshotMangas - The mangas of the snapshot.
+ *
+ * @returns {Object} The snapshot mangas no longer in the library (`deleted`), the ones that differ (`changed`,
+ * with the library copy and the differing fields) and the library mangas missing from the snapshot (`added`).
+ */
+function diffSnapshot(snapshotMangas) {
+    const deleted = [];
+    const changed = [];
+
+    snapshotMangas.forEach(manga => {
+        const local = mangaList.find(m => m.id === manga.id);
+        if (!local) {
+            deleted.push(manga);
+            return;
+        }
+
+        const fields = SNAPSHOT_DIFF_FIELDS.filter(field => !isSameSyncValue(local[field], manga[field]));
+        if (fields.length > 0) {
+            changed.push({ manga, local, fields });
+        }
+    });
+
+    const added = mangaList.filter(local => !snapshotMangas.some(manga => manga.id === local.id));
+    return { deleted, changed, added };
+}
+
+/**
+ * Describes the differences between the library copy of a manga and its snapshot copy.
+ *
+ * @param {Object} local - The manga in the library.
+ * @param {Object} manga - The manga in the snapshot.
+ * @param {Array<string>} fields - The differing fields.
+ *
+ * @returns {string} The field labels, with the current and snapshot values of the short ones.
+ */
+function describeSnapshotChanges(local, manga, fields) {
+    const format = (field, value) => {
+        if (field === 'favorite') return translate(value ? 'import-preview-yes' : 'import-preview-no');
+        if (field === 'status') return translate(`status-${value}`);
+        return value ?? '—';
+    };
+
+    return fields.map(field => {
+        const label = translate(`csv-field-${field}`);
+        if (!SNAPSHOT_VALUE_FIELDS.includes(field)) return label;
+        return `${label}: ${format(field, local[field])} → ${format(field, manga[field])}`;
+    }).join(' · ');
+}
+
+/**
+ * Creates a selectable row for a snapshot manga that can be restored.
+ *
+ * @param {Object} manga - The manga in the snapshot.
+ * @param {string} description - The differences with the library, empty for deleted mangas.
+ *
+ * @returns {HTMLElement} The row.
+ */
+function createSnapshotRow(manga, description) {
+    const row = document.createElement('label');
+    row.classList.add('flex', 'items-start', 'gap-2', 'cursor-pointer', 'rounded-md', 'border', 'border-light-border', 'dark:border-dark-border', 'p-2', 'mb-1');
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.dataset.mangaId = manga.id;
+    checkbox.classList.add('snapshot-restore-item', 'mt-1', 'accent-light-primary-text', 'dark:accent-dark-primary-text');
+
+    const text = document.createElement('div');
+    text.classList.add('min-w-0');
+
+    const title = document.createElement('p');
+    title.classList.add('text-sm', 'font-medium', 'truncate');
+    title.textContent = manga.title;
+    title.title = manga.title;
+    text.appendChild(title);
+
+    if (description) {
+        const differences = document.createElement('p');
+        differences.classList.add('text-xs', 'text-light-secondary-text', 'dark:text-dark-secondary-text', 'break-all');
+        differences.textContent = description;
+        text.appendChild(differences);
+    }
+
+    row.appendChild(checkbox);
+    row.appendChild(text);
+    return row;
+}
+
+/**
+ * Restores the mangas selected in the open snapshot: deleted ones are added back and changed ones
+ * get their snapshot version back. Their tags are added back too if they were deleted since.
+ */
+function restoreSelectedFromSnapshot() {
+    const selectedIds = Array.from(document.querySelectorAll('.snapshot-restore-item:checked'))
+        .map(checkbox => checkbox.dataset.mangaId);
+    if (!openSnapshot || selectedIds.length === 0) return;
+
+    snapshotBeforeChange('restore');
+
+    const restoredMangas = openSnapshot.mangaList.filter(manga => selectedIds.includes(manga.id));
+    restoredMangas.forEach(manga => {
+        const local = mangaList.find(m => m.id === manga.id);
+        if (local) {
+            Object.assign(local, structuredClone(manga));
+        } else {
+            mangaList.push(structuredClone(manga));
+        }
+    });
+
+    const restoredTagIds = new Set(restoredMangas.flatMap(manga => manga.tags || []));
+    const missingTags = openSnapshot.tagList.filter(tag => restoredTagIds.has(tag.id) && !tagList.some(t => t.id === tag.id));
+
+    hideSnapshotsDialog();
+    if (missingTags.length > 0) {
+        tagList.push(...missingTags);
+        refreshTags(getSelectedTagIds());
+    }
+    refreshAndSaveMangas();
+}
+
+/**
+ * Replaces the whole library and its tags with the open snapshot.
+ */
+function restoreSnapshot() {
+    if (!openSnapshot) return;
+
+    snapshotBeforeChange('restore');
+
+    mangaList = structuredClone(openSnapshot.mangaList);
+    tagList = structuredClone(openSnapshot.tagList);
+
+    hideSnapshotsDialog();
+    refreshTags(getSelectedTagIds().filter(id => tagList.some(tag => tag.id === id)));
+    saveMangas();
+}
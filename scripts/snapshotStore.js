@@ -0,0 +1,140 @@
+// IndexedDB database and object store that keep the library snapshots
+const SNAPSHOT_DB_NAME = 'mangaLibrarySnapshots';
+const SNAPSHOT_DB_VERSION = 1;
+const SNAPSHOT_STORE = 'snapshots';
+
+// Name of the alarm that takes the periodic snapshots, and how often it fires
+const SNAPSHOT_ALARM = 'library-snapshot';
+const SNAPSHOT_INTERVAL_MINUTES = 60;
+
+// Length of a day in milliseconds
+const SNAPSHOT_DAY = 24 * 60 * 60 * 1000;
+
+// Retention policy, from the newest snapshots to the oldest: every snapshot of the last day is kept,
+// then the latest one of each day for a week and the latest one of each week for four weeks
+const SNAPSHOT_RETENTION = [
+    { maxAge: SNAPSHOT_DAY, period: 0 },
+    { maxAge: 7 * SNAPSHOT_DAY, period: SNAPSHOT_DAY },
+    { maxAge: 28 * SNAPSHOT_DAY, period: 7 * SNAPSHOT_DAY }
+];
+
+// Reasons a snapshot is taken for, shown in the snapshot list
+const SNAPSHOT_REASONS = ['scheduled', 'import', 'delete', 'bulk', 'restore'];
+
+// Opened database, shared by every snapshot operation
+let snapshotDatabase = null;
+
+/**
+ * Opens the snapshot database, creating its object store on first use.
+ *
+ * @returns {Promise<IDBDatabase>} A promise that resolves to the database.
+ */
+function openSnapshotDatabase() {
+    if (!snapshotDatabase) {
+        snapshotDatabase = new Promise((resolve, reject) => {
+            const request = indexedDB.open(SNAPSHOT_DB_NAME, SNAPSHOT_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        snapshotDatabase.catch(() => { snapshotDatabase = null; });
+    }
+    return snapshotDatabase;
+}
+
+/**
+ * Runs a request on the snapshot object store.
+ *
+ * @param {string} mode - The transaction mode ('readonly' or 'readwrite').
+ * @param {Function} createRequest - Creates the request from the object store, or queues several requests and returns nothing.
+ *
+ * @returns {Promise<*>} A promise that resolves to the result of the request once its transaction completes.
+ */
+async function runSnapshotRequest(mode, createRequest) {
+    const database = await openSnapshotDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(SNAPSHOT_STORE, mode);
+        const request = createRequest(transaction.objectStore(SNAPSHOT_STORE));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Saves a snapshot of the stored library and its tags, then drops the snapshots the retention policy no longer keeps.
+ * The library is read after every queued save, so a snapshot taken right before a change holds the state before it.
+ * Nothing is saved when the library has not changed since the latest snapshot.
+ *
+ * @param {string} reason - Why the snapshot is taken, one of `SNAPSHOT_REASONS`.
+ *
+ * @returns {Promise<Object|null>} A promise that resolves to the new snapshot, or null if none was needed.
+ */
+async function takeSnapshot(reason) {
+    const stored = await queueSyncTask(() => chrome.storage.local.get(['mangaList', 'tagList', 'schemaVersion']));
+    const snapshot = {
+        createdAt: Date.now(),
+        reason: reason,
+        schemaVersion: stored.schemaVersion || 0,
+        mangaList: stored.mangaList || [],
+        tagList: stored.tagList || []
+    };
+
+    const [latest] = await getSnapshots();
+    if (latest && isSameSyncValue(latest.mangaList, snapshot.mangaList) && isSameSyncValue(latest.tagList, snapshot.tagList)) {
+        return null;
+    }
+    // An empty library that was never snapshotted has nothing to protect
+    if (snapshot.mangaList.length === 0 && !latest) return null;
+
+    snapshot.id = await runSnapshotRequest('readwrite', store => store.add(snapshot));
+    await pruneSnapshots(snapshot.createdAt);
+    return snapshot;
+}
+
+/**
+ * Loads every snapshot.
+ *
+ * @returns {Promise<Array>} A promise that resolves to the snapshots, newest first.
+ */
+async function getSnapshots() {
+    const snapshots = await runSnapshotRequest('readonly', store => store.getAll());
+    return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Deletes the snapshots the retention policy does not keep: within each retention period,
+ * only the latest snapshot is kept, and snapshots older than the last period are deleted.
+ *
+ * @param {number} now - The current time, in milliseconds.
+ *
+ * @returns {Promise} A promise that resolves once the snapshots are deleted.
+ */
+async function pruneSnapshots(now) {
+    const keptPeriods = new Set();
+    const expiredIds = [];
+
+    (await getSnapshots()).forEach(snapshot => {
+        const age = now - snapshot.createdAt;
+        const rule = SNAPSHOT_RETENTION.find(retention => age <= retention.maxAge);
+        if (!rule) {
+            expiredIds.push(snapshot.id);
+            return;
+        }
+        if (rule.period === 0) return;
+
+        // Snapshots come newest first, so the first one of each period is the one kept
+        const periodKey = `${rule.period}:${Math.floor(snapshot.createdAt / rule.period)}`;
+        if (keptPeriods.has(periodKey)) {
+            expiredIds.push(snapshot.id);
+        } else {
+            keptPeriods.add(periodKey);
+        }
+    });
+
+    if (expiredIds.length > 0) {
+        await runSnapshotRequest('readwrite', store => expiredIds.forEach(id => store.delete(id)));
+    }
+}
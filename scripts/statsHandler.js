@@ -0,0 +1,440 @@
+// Number of periods shown by the reading chart, for each period length
+const STATS_PERIODS = { day: 14, week: 12, month: 12 };
+
+// Number of series listed as the most read
+const STATS_TOP_SERIES = 5;
+
+// Size of the SVG charts, in viewBox units, with room below for the axis labels
+const STATS_CHART_WIDTH = 300;
+const STATS_CHART_HEIGHT = 100;
+const STATS_LABEL_HEIGHT = 14;
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Chapters read, as `{ at, count }` changes computed from the reading log when the dashboard opens
+let statsReads = [];
+
+// Attach event listener for the statistics button in the header
+document.getElementById('stats-open').addEventListener('click', showStatsDialog);
+
+// Attach event listener for the close button of the statistics dialog
+document.getElementById('stats-cross-cancel').addEventListener('click', hideStatsDialog);
+
+// Attach event listener for the period selector of the reading chart
+document.getElementById('stats-period').addEventListener('change', renderReadingChart);
+
+/**
+ * Opens the statistics dashboard, computed from the stored reading log and the library.
+ */
+function showStatsDialog() {
+    chrome.storage.local.get({ [READING_LOG_KEY]: {} }, function (result) {
+        if (chrome.runtime.lastError) {
+            console.error('Error loading the reading history:', chrome.runtime.lastError);
+            return;
+        }
+
+        statsReads = collectChapterReads(result[READING_LOG_KEY]);
+        renderReadingSummary();
+        renderReadingChart();
+        renderMostReadMangas();
+        renderFavoritesSplit();
+        renderLibraryGrowth();
+        toggleDialog(document.getElementById('stats-dialog'));
+    });
+}
+
+/**
+ * Closes the statistics dashboard.
+ */
+function hideStatsDialog() {
+    const statsDialog = document.getElementById('stats-dialog');
+    if (!statsDialog.classList.contains('translate-x-full')) {
+        toggleDialog(statsDialog);
+    }
+}
+
+/**
+ * Turns the chapter events of the reading log into chapter count changes. The first event of a manga
+ * only records where its reading started, and lowered counts are kept as negative changes so corrections cancel out.
+ *
+ * @param {Object} readingLog - The stored reading log.
+ *
+ * @returns {Array<Object>} The changes, each with its time in milliseconds (`at`) and the chapters read (`count`).
+ */
+function collectChapterReads(readingLog) {
+    return Object.values(readingLog).flatMap(events => {
+        let previous = null;
+        return decodeReadingEvents(events)
+            .filter(event => event.field === 'readChapters')
+            .flatMap(event => {
+                const count = previous === null ? 0 : Number(event.value) - previous;
+                previous = Number(event.value);
+                return count !== 0 ? [{ at: event.at, count }] : [];
+            });
+    });
+}
+
+/**
+ * Returns the start of the day, week (starting on Monday) or month a time falls in.
+ *
+ * @param {number} time - The time, in milliseconds.
+ * @param {string} period - The period length, a key of `STATS_PERIODS`.
+ *
+ * @returns {Date} The local start of the period.
+ */
+function getPeriodStart(time, period) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    if (period === 'week') {
+        date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    } else if (period === 'month') {
+        date.setDate(1);
+    }
+    return date;
+}
+
+/**
+ * Moves the start of a period by a number of periods.
+ *
+ * @param {Date} start - The start of the period.
+ * @param {string} period - The period length, a key of `STATS_PERIODS`.
+ * @param {number} amount - The number of periods to move by, negative to go back.
+ *
+ * @returns {Date} The start of the other period.
+ */
+function shiftPeriod(start, period, amount) {
+    const date = new Date(start);
+    if (period === 'month') {
+        date.setMonth(date.getMonth() + amount);
+    } else {
+        date.setDate(date.getDate() + amount * (period === 'week' ? 7 : 1));
+    }
+    return date;
+}
+
+/**
+ * Adds up the chapters read in each of the latest periods, never going below zero.
+ *
+ * @param {Array<Object>} reads - The chapter count changes.
+ * @param {string} period - The period length, a key of `STATS_PERIODS`.
+ * @param {number} count - The number of periods, the current one included.
+ * @param {number} now - The current time, in milliseconds.
+ *
+ * @returns {Array<Object>} The periods, oldest first, each with its `start` and the chapters read (`total`).
+ */
+function sumReadsByPeriod(reads, period, count, now) {
+    const totals = new Map();
+    let start = getPeriodStart(now, period);
+    for (let i = 0; i < count; i++) {
+        totals.set(start.getTime(), 0);
+        start = shiftPeriod(start, period, -1);
+    }
+
+    reads.forEach(read => {
+        const key = getPeriodStart(read.at, period).getTime();
+        if (totals.has(key)) totals.set(key, totals.get(key) + read.count);
+    });
+
+    return [...totals.entries()].reverse().map(([time, total]) => ({ start: new Date(time), total: Math.max(total, 0) }));
+}
+
+/**
+ * Computes the reading streaks, in days in a row with chapters read. The current streak
+ * still counts when nothing has been read yet today, as long as something was read yesterday.
+ *
+ * @param {Array<Object>} reads - The chapter count changes.
+ * @param {number} now - The current time, in milliseconds.
+ *
+ * @returns {Object} The `current` and `longest` streaks.
+ */
+function computeReadingStreaks(reads, now) {
+    const dayTotals = new Map();
+    reads.forEach(read => {
+        const key = getPeriodStart(read.at, 'day').getTime();
+        dayTotals.set(key, (dayTotals.get(key) || 0) + read.count);
+    });
+    const readingDays = new Set([...dayTotals.entries()].filter(([, total]) => total > 0).map(([day]) => day));
+
+    let longest = 0;
+    readingDays.forEach(day => {
+        // Only the first day of each streak starts counting
+        if (readingDays.has(shiftPeriod(new Date(day), 'day', -1).getTime())) return;
+
+        let length = 0;
+        for (let date = new Date(day); readingDays.has(date.getTime()); date = shiftPeriod(date, 'day', 1)) {
+            length++;
+        }
+        longest = Math.max(longest, length);
+    });
+
+    let current = 0;
+    let date = getPeriodStart(now, 'day');
+    if (!readingDays.has(date.getTime())) date = shiftPeriod(date, 'day', -1);
+    for (; readingDays.has(date.getTime()); date = shiftPeriod(date, 'day', -1)) {
+        current++;
+    }
+
+    return { current, longest };
+}
+
+/**
+ * Shows the chapters read today, this week and this month, and the reading streaks.
+ */
+function renderReadingSummary() {
+    const now = Date.now();
+    ['day', 'week', 'month'].forEach(period => {
+        const [current] = sumReadsByPeriod(statsReads, period, 1, now);
+        document.getElementById(`stats-chapters-${period}`).textContent = current.total;
+    });
+
+    const streaks = computeReadingStreaks(statsReads, now);
+    document.getElementById('stats-streak-current').textContent = formatTranslation('stats-days', { count: streaks.current });
+    document.getElementById('stats-streak-longest').textContent = formatTranslation('stats-days', { count: streaks.longest });
+}
+
+/**
+ * Draws the bar chart of the chapters read per period, for the period length selected.
+ */
+function renderReadingChart() {
+    const period = document.getElementById('stats-period').value;
+    const options = period === 'month' ? { month: 'short', year: 'numeric' } : { month: 'short', day: 'numeric' };
+    const bars = sumReadsByPeriod(statsReads, period, STATS_PERIODS[period], Date.now()).map(({ start, total }) => ({
+        label: start.toLocaleDateString(window.language, options),
+        value: total
+    }));
+
+    const chart = document.getElementById('stats-reading-chart');
+    chart.innerHTML = '';
+    chart.appendChild(createBarChart(bars));
+}
+
+/**
+ * Lists the series with the most chapters read, with a bar relative to the first one.
+ */
+function renderMostReadMangas() {
+    const container = document.getElementById('stats-most-read');
+    container.innerHTML = '';
+
+    const mangas = mangaList
+        .filter(manga => Number(manga.readChapters) > 0)
+        .sort((a, b) => b.readChapters - a.readChapters)
+        .slice(0, STATS_TOP_SERIES);
+
+    if (mangas.length === 0) {
+        container.appendChild(createStatsEmptyMessage());
+        return;
+    }
+
+    mangas.forEach(manga => {
+        const row = document.createElement('div');
+
+        const label = document.createElement('div');
+        label.classList.add('flex', 'justify-between', 'gap-2', 'text-sm');
+        const title = document.createElement('span');
+        title.classList.add('truncate');
+        title.textContent = manga.title;
+        title.title = manga.title;
+        const chapters = document.createElement('span');
+        chapters.classList.add('flex-shrink-0', 'text-light-secondary-text', 'dark:text-dark-secondary-text');
+        chapters.textContent = manga.readChapters;
+        label.appendChild(title);
+        label.appendChild(chapters);
+
+        row.appendChild(label);
+        row.appendChild(createStatsBar([{ share: manga.readChapters / mangas[0].readChapters, strong: true }]));
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Shows how the library and the chapters read split between favorites and the rest.
+ */
+function renderFavoritesSplit() {
+    const container = document.getElementById('stats-favorites');
+    container.innerHTML = '';
+
+    const favorites = mangaList.filter(manga => manga.favorite);
+    const others = mangaList.filter(manga => !manga.favorite);
+    const sumChapters = mangas => mangas.reduce((total, manga) => total + (Number(manga.readChapters) || 0), 0);
+
+    if (mangaList.length === 0) {
+        container.appendChild(createStatsEmptyMessage());
+        return;
+    }
+
+    container.appendChild(createStatsBar([
+        { share: favorites.length / mangaList.length, strong: true },
+        { share: others.length / mangaList.length, strong: false }
+    ]));
+
+    [['stats-favorites-label', favorites], ['stats-others-label', others]].forEach(([key, mangas]) => {
+        const line = document.createElement('p');
+        line.classList.add('text-sm');
+        line.textContent = formatTranslation(key, { count: mangas.length, chapters: sumChapters(mangas) });
+        container.appendChild(line);
+    });
+}
+
+/**
+ * Draws the line chart of the library size over time, from the date each manga was added.
+ */
+function renderLibraryGrowth() {
+    const container = document.getElementById('stats-growth');
+    container.innerHTML = '';
+
+    const times = mangaList
+        .map(manga => getStoredTime(manga.dayAdded))
+        .filter(time => time > 0)
+        .sort((a, b) => a - b);
+
+    if (times.length < 2 || times[0] === times[times.length - 1]) {
+        container.appendChild(createStatsEmptyMessage());
+        return;
+    }
+
+    container.appendChild(createLineChart(times.map((time, index) => ({ time, value: index + 1 }))));
+}
+
+/**
+ * Creates an SVG element with the given attributes.
+ *
+ * @param {string} tag - The tag name.
+ * @param {Object} [attributes={}] - The attributes to set.
+ *
+ * @returns {SVGElement} The element.
+ */
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NAMESPACE, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+/**
+ * Creates an empty chart, scaled to the width of its container.
+ *
+ * @returns {SVGElement} The SVG root.
+ */
+function createChartRoot() {
+    const svg = createSvgElement('svg', {
+        viewBox: `0 0 ${STATS_CHART_WIDTH} ${STATS_CHART_HEIGHT + STATS_LABEL_HEIGHT}`,
+        role: 'img',
+        class: 'w-full text-light-primary-text dark:text-dark-primary-text'
+    });
+    svg.appendChild(createSvgElement('line', {
+        x1: 0, y1: STATS_CHART_HEIGHT, x2: STATS_CHART_WIDTH, y2: STATS_CHART_HEIGHT,
+        stroke: 'currentColor', 'stroke-opacity': 0.3
+    }));
+    return svg;
+}
+
+/**
+ * Adds a label below the axis of a chart.
+ *
+ * @param {SVGElement} svg - The chart.
+ * @param {string} text - The label.
+ * @param {string} anchor - The text anchor ('start', 'middle' or 'end').
+ * @param {number} x - The horizontal position of the anchor.
+ */
+function appendChartLabel(svg, text, anchor, x) {
+    const label = createSvgElement('text', {
+        x, y: STATS_CHART_HEIGHT + STATS_LABEL_HEIGHT - 2, 'text-anchor': anchor,
+        'font-size': 9, fill: 'currentColor', 'fill-opacity': 0.6
+    });
+    label.textContent = text;
+    svg.appendChild(label);
+}
+
+/**
+ * Creates a bar chart, labelled with its first and last bars. Every bar shows its label and value on hover.
+ *
+ * @param {Array<Object>} bars - The bars, each with its `label` and `value`.
+ *
+ * @returns {SVGElement} The chart.
+ */
+function createBarChart(bars) {
+    const svg = createChartRoot();
+    const max = Math.max(1, ...bars.map(bar => bar.value));
+    const slot = STATS_CHART_WIDTH / bars.length;
+
+    bars.forEach((bar, index) => {
+        const height = bar.value / max * (STATS_CHART_HEIGHT - 4);
+        const rect = createSvgElement('rect', {
+            x: index * slot + slot * 0.15, y: STATS_CHART_HEIGHT - height,
+            width: slot * 0.7, height, rx: 1, fill: 'currentColor'
+        });
+        const tooltip = createSvgElement('title');
+        tooltip.textContent = `${bar.label}: ${bar.value}`;
+        rect.appendChild(tooltip);
+        svg.appendChild(rect);
+    });
+
+    appendChartLabel(svg, bars[0].label, 'start', 0);
+    appendChartLabel(svg, bars[bars.length - 1].label, 'end', STATS_CHART_WIDTH);
+    return svg;
+}
+
+/**
+ * Creates a line chart of values over time, labelled with its first and last dates and its final value.
+ *
+ * @param {Array<Object>} points - The points, oldest first, each with its `time` in milliseconds and its `value`.
+ *
+ * @returns {SVGElement} The chart.
+ */
+function createLineChart(points) {
+    const svg = createChartRoot();
+    const first = points[0].time;
+    const span = points[points.length - 1].time - first;
+    const max = Math.max(...points.map(point => point.value));
+
+    const coordinates = points.map(point => [
+        (point.time - first) / span * STATS_CHART_WIDTH,
+        STATS_CHART_HEIGHT - point.value / max * (STATS_CHART_HEIGHT - 12)
+    ]);
+    svg.appendChild(createSvgElement('polyline', {
+        points: coordinates.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' '),
+        fill: 'none', stroke: 'currentColor', 'stroke-width': 2, 'stroke-linejoin': 'round'
+    }));
+
+    const total = createSvgElement('text', { x: STATS_CHART_WIDTH, y: 9, 'text-anchor': 'end', 'font-size': 9, fill: 'currentColor' });
+    total.textContent = max;
+    svg.appendChild(total);
+
+    appendChartLabel(svg, new Date(first).toLocaleDateString(window.language), 'start', 0);
+    appendChartLabel(svg, new Date(points[points.length - 1].time).toLocaleDateString(window.language), 'end', STATS_CHART_WIDTH);
+    return svg;
+}
+
+/**
+ * Creates a horizontal bar split into segments.
+ *
+ * @param {Array<Object>} segments - The segments, each with its `share` of the bar (0 to 1) and whether it is `strong` or faded.
+ *
+ * @returns {HTMLElement} The bar.
+ */
+function createStatsBar(segments) {
+    const bar = document.createElement('div');
+    bar.classList.add('flex', 'h-2', 'w-full', 'overflow-hidden', 'rounded-full', 'bg-light-secondary', 'dark:bg-dark-secondary', 'mt-1');
+
+    segments.forEach(segment => {
+        const part = document.createElement('div');
+        part.classList.add('h-full');
+        part.classList.add(...(segment.strong
+            ? ['bg-light-highlight-primary', 'dark:bg-dark-highlight-primary']
+            : ['bg-light-secondary-text', 'dark:bg-dark-secondary-text']));
+        part.style.width = `${segment.share * 100}%`;
+        bar.appendChild(part);
+    });
+    return bar;
+}
+
+/**
+ * Creates the message shown in place of a statistic that has no data yet.
+ *
+ * @returns {HTMLElement} The message.
+ */
+function createStatsEmptyMessage() {
+    const empty = document.createElement('p');
+    empty.classList.add('text-sm', 'text-light-secondary-text', 'dark:text-dark-secondary-text');
+    empty.textContent = translate('stats-empty');
+    return empty;
+}
@@ -1,30 +1,65 @@
 let mangaList = []; // Global var for manga list
+let tagList = []; // Global var for user-defined tags
 
-// Attach event listener for DOMContentLoaded to retrieve manga list from Chrome's local storage when the page loads
+// Copies of the mangas as the popup last loaded or saved them, keyed by ID, to tell the changes made in the popup
+// from the ones saved meanwhile by the service worker or a sync
+let savedMangas = new Map();
+
+// Attach event listener for DOMContentLoaded to retrieve manga list and tags from Chrome's local storage when the page loads
 document.addEventListener("DOMContentLoaded", ()=>{
     retrieveMangas();
+    retrieveTags();
     allImagesWorking();
 
 });
 
 /**
  * Retrieves the manga list from Chrome's local storage and populates
- * the global `mangaList` variable.
+ * the global `mangaList` variable. Libraries stored with an older schema
+ * version are migrated and saved back.
  */
 function retrieveMangas() {
-    chrome.storage.local.get('mangaList', function (result) {
+    chrome.storage.local.get(['mangaList', 'schemaVersion'], function (result) {
         if (chrome.runtime.lastError) {
             console.error('Error loading mangas:', chrome.runtime.lastError);
             return;
         }
         if (Array.isArray(result.mangaList) && result.mangaList.length > 0) {
-            mangaList = result.mangaList;
+            const storedVersion = result.schemaVersion || 0;
+            mangaList = migrateMangaList(result.mangaList, storedVersion);
+            rememberSavedMangas(mangaList);
+
+            // The migrated list replaces the stored one as a whole, since migrating the stored list again
+            // would give other IDs to the mangas that had none
+            if (storedVersion < CURRENT_SCHEMA_VERSION) {
+                updateStoredMangas(storedMangas => {
+                    storedMangas.splice(0, storedMangas.length, ...mangaList);
+                })
+                    .then(() => requestSync())
+                    .catch(error => console.error('Error saving mangas:', error));
+            }
         } else {
             console.log('No mangas found in storage.');
         }
     });
 }
 
+/**
+ * Retrieves the user-defined tags from Chrome's local storage and populates
+ * the global `tagList` variable.
+ */
+function retrieveTags() {
+    chrome.storage.local.get({ tagList: [] }, function (result) {
+        if (chrome.runtime.lastError) {
+            console.error('Error loading tags:', chrome.runtime.lastError);
+            return;
+        }
+        tagList = result.tagList;
+        renderTagSelector([]);
+        renderTagEditor();
+    });
+}
+
 function allImagesWorking(){
     mangaList.forEach(manga => {
         manga.isImageWorking = true;
@@ -32,13 +67,139 @@ function allImagesWorking(){
 }
 
 /**
- * Saves the current manga list to Chrome's local storage.
+ * Saves the current manga list to Chrome's local storage, along with the schema version it was written with,
+ * and schedules a sync of the changes. The stored list is read again first and the changes saved meanwhile
+ * by other views are merged in, so only the changes made in the popup replace stored values.
  */
 function saveMangas() {
-    chrome.storage.local.set({ mangaList: mangaList }, function () {
-        if (chrome.runtime.lastError) {
-            console.error('Error saving mangas:', chrome.runtime.lastError);
+    resetPresetCounts();
+    let listChanged = false;
+    updateStoredMangas(storedMangas => {
+        listChanged = mergeStoredMangas(storedMangas);
+        storedMangas.splice(0, storedMangas.length, ...mangaList);
+        rememberSavedMangas(mangaList);
+    })
+        .then(() => {
+            if (listChanged) {
+                loadFilteredMangas();
+            }
+            requestSync();
+        })
+        .catch(error => console.error('Error saving mangas:', error));
+}
+
+/**
+ * Merges stored mangas into the popup list by ID. Fields changed in the popup since it last saved keep their value
+ * and the others take the stored one. Mangas added by other views are added, and mangas they deleted are removed
+ * unless they were changed in the popup. The popup mangas stay the same objects, so open forms and the undo
+ * history still refer to them.
+ *
+ * @param {Array} storedMangas - The stored mangas.
+ *
+ * @returns {boolean} True if the popup list changed.
+ */
+function mergeStoredMangas(storedMangas) {
+    const storedById = new Map(storedMangas.map(manga => [manga.id, manga]));
+    let listChanged = false;
+
+    mangaList = mangaList.filter(manga => {
+        const saved = savedMangas.get(manga.id);
+        if (storedById.has(manga.id) || !saved || !isSameSyncValue(manga, saved)) return true;
+        listChanged = true;
+        return false;
+    });
+
+    const mangasById = new Map(mangaList.map(manga => [manga.id, manga]));
+    storedMangas.forEach(stored => {
+        const manga = mangasById.get(stored.id);
+        const saved = savedMangas.get(stored.id);
+
+        if (!manga) {
+            // Mangas deleted in the popup stay deleted
+            if (!saved) {
+                mangaList.push(structuredClone(stored));
+                listChanged = true;
+            }
             return;
         }
+        if (!saved || isSameSyncValue(manga, stored)) return;
+
+        new Set([...Object.keys(stored), ...Object.keys(manga)]).forEach(field => {
+            if (isSameSyncValue(manga[field], stored[field]) || !isSameSyncValue(manga[field], saved[field])) return;
+            manga[field] = structuredClone(stored[field]);
+            listChanged = true;
+        });
     });
+    return listChanged;
+}
+
+/**
+ * Applies a save made by another view to the popup list, by ID. Only the fields that save changed are applied,
+ * and only to mangas that still have the value it replaced, so a change the popup made or took in since
+ * is never undone by an older save.
+ *
+ * @param {Array} oldList - The stored mangas before the save.
+ * @param {Array} newList - The stored mangas after the save.
+ *
+ * @returns {boolean} True if the popup list changed.
+ */
+function applyStoredMangaChanges(oldList, newList) {
+    const oldById = new Map(oldList.map(manga => [manga.id, manga]));
+    const mangasById = new Map(mangaList.map(manga => [manga.id, manga]));
+    let listChanged = false;
+
+    newList.forEach(stored => {
+        const previous = oldById.get(stored.id);
+        const manga = mangasById.get(stored.id);
+        oldById.delete(stored.id);
+
+        if (!previous) {
+            if (!manga && !savedMangas.has(stored.id)) {
+                mangaList.push(structuredClone(stored));
+                savedMangas.set(stored.id, structuredClone(stored));
+                listChanged = true;
+            }
+            return;
+        }
+        if (!manga || isSameSyncValue(previous, stored)) return;
+
+        const saved = savedMangas.get(stored.id);
+        new Set([...Object.keys(stored), ...Object.keys(previous)]).forEach(field => {
+            if (isSameSyncValue(previous[field], stored[field]) || !isSameSyncValue(manga[field], previous[field])) return;
+            manga[field] = structuredClone(stored[field]);
+            if (saved) {
+                saved[field] = structuredClone(stored[field]);
+            }
+            listChanged = true;
+        });
+    });
+
+    // The rest were deleted by the save
+    oldById.forEach((previous, id) => {
+        const manga = mangasById.get(id);
+        if (manga && isSameSyncValue(manga, previous)) {
+            mangaList = mangaList.filter(m => m !== manga);
+            savedMangas.delete(id);
+            listChanged = true;
+        }
+    });
+    return listChanged;
+}
+
+/**
+ * Keeps copies of the mangas as they are stored, to compare the popup list with on the next merge.
+ *
+ * @param {Array} list - The stored mangas.
+ */
+function rememberSavedMangas(list) {
+    savedMangas = new Map(list.map(manga => [manga.id, structuredClone(manga)]));
+}
+
+/**
+ * Saves the user-defined tags to Chrome's local storage and schedules a sync of the changes.
+ */
+function saveTags() {
+    saveWithSyncTracking({ tagList: tagList })
+        .then(() => requestSync())
+        .catch(error => console.error('Error saving tags:', error));
 }
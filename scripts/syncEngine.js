@@ -0,0 +1,513 @@
+// Prefix of every key the library sync writes to chrome.storage.sync
+const SYNC_KEY_PREFIX = 'sync_';
+
+// Key of the sync metadata: format version, schema version and number of chunks of each kind
+const SYNC_META_KEY = `${SYNC_KEY_PREFIX}meta`;
+
+// Version of the sync encoding, increased when its layout changes
+const SYNC_FORMAT_VERSION = 1;
+
+// Largest size in bytes of a chunk, below the per-item quota of chrome.storage.sync to leave room for its key
+const SYNC_CHUNK_BYTES = 7800;
+
+// Deleted entries are remembered for this long, so devices that have been offline still learn about the deletion
+const SYNC_TOMBSTONE_LIFETIME = 60 * 24 * 60 * 60 * 1000;
+
+// Delay in milliseconds before syncing after a change, so bursts of changes are synced once
+const SYNC_DELAY = 2000;
+
+// Synced manga fields, keyed by the short names used in chrome.storage.sync
+const SYNC_MANGA_FIELDS = {
+    t: 'title',
+    l: 'link',
+    i: 'image',
+    r: 'readChapters',
+    n: 'totalChapters',
+    c: 'score',
+    f: 'favorite',
+    a: 'autoTrack',
+    g: 'tags',
+    s: 'status',
+    p: 'completedDate',
+    d: 'dayAdded',
+    u: 'lastRead',
+    al: 'anilistId',
+    ml: 'malId'
+};
+
+// Synced tag fields, keyed by the short names used in chrome.storage.sync
+const SYNC_TAG_FIELDS = {
+    n: 'name',
+    c: 'color'
+};
+
+// Synced collections: where they are stored locally, their fields, the chunk key letter and the defaults of entries added by sync
+const SYNC_COLLECTIONS = {
+    mangas: { storageKey: 'mangaList', fields: SYNC_MANGA_FIELDS, chunkKey: 'm', defaults: { isImageWorking: true } },
+    tags: { storageKey: 'tagList', fields: SYNC_TAG_FIELDS, chunkKey: 'g', defaults: {} }
+};
+
+// Chains storage writes and syncs so they never interleave
+let syncQueue = Promise.resolve();
+
+// Timer of the pending delayed sync
+let syncTimer = null;
+
+// Identifies the manga list saves of this view (popup or service worker) in `mangaListWriter`,
+// so each view can tell its own saves from the ones made by the other views
+const SYNC_WRITER_ID = generateId();
+
+// Number of manga list saves made by this view, so every save changes `mangaListWriter`
+let mangaListWrites = 0;
+
+/**
+ * Runs a task after every previously queued save or sync has finished.
+ *
+ * @param {Function} task - The async task to run.
+ *
+ * @returns {Promise} A promise that settles with the result of the task.
+ */
+function queueSyncTask(task) {
+    const result = syncQueue.then(task);
+    syncQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Saves items to local storage while recording which manga and tag fields changed and when,
+ * so edits made on different devices can be merged field by field.
+ * When the sync API is enabled, the manga changes are also queued to be pushed to it.
+ * Reading progress changes are appended to the reading log.
+ *
+ * @param {Object} items - The items to save, e.g. `{ mangaList, schemaVersion }` or `{ tagList }`.
+ *
+ * @returns {Promise} A promise that resolves once the items are saved.
+ */
+function saveWithSyncTracking(items) {
+    return queueSyncTask(() => writeWithSyncTracking(items));
+}
+
+/**
+ * Saves items like `saveWithSyncTracking`, from a task that is already queued.
+ *
+ * @param {Object} items - The items to save.
+ *
+ * @returns {Promise} A promise that resolves once the items are saved.
+ */
+async function writeWithSyncTracking(items) {
+    const stored = await chrome.storage.local.get(['mangaList', 'tagList', 'syncState', 'apiSyncSettings', 'apiSyncState', READING_LOG_KEY]);
+    const syncState = stored.syncState || createSyncState();
+    const now = Date.now();
+
+    Object.entries(SYNC_COLLECTIONS).forEach(([name, collection]) => {
+        if (items[collection.storageKey]) {
+            stampChanges(stored[collection.storageKey] || [], items[collection.storageKey], syncState[name], collection.fields, now);
+        }
+    });
+
+    const trackedItems = { ...items, syncState };
+    if (items.mangaList && stored.apiSyncSettings && stored.apiSyncSettings.enabled) {
+        trackedItems.apiSyncState = stored.apiSyncState || createApiSyncState();
+        recordApiChanges(stored.mangaList || [], items.mangaList, trackedItems.apiSyncState);
+    }
+    if (items.mangaList) {
+        const readingLog = stored[READING_LOG_KEY] || {};
+        if (recordReadingEvents(stored.mangaList || [], items.mangaList, readingLog, now)) {
+            trackedItems[READING_LOG_KEY] = readingLog;
+        }
+    }
+
+    await chrome.storage.local.set(trackedItems);
+}
+
+/**
+ * Changes the stored manga list within a single queued task: the list is read, changed and saved back with
+ * no other save of this view in between, so a change only touches the mangas it is about.
+ *
+ * @param {Function} update - Changes the stored mangas, migrated to the current schema, in place. It can return
+ * (or resolve to) false to leave the list as it is stored.
+ *
+ * @returns {Promise<*>} A promise that resolves to the result of the update once the list is saved.
+ */
+function updateStoredMangas(update) {
+    return queueSyncTask(async () => {
+        const stored = await chrome.storage.local.get(['mangaList', 'schemaVersion']);
+        const list = migrateMangaList(stored.mangaList || [], stored.schemaVersion || 0);
+
+        const result = await update(list);
+        if (result !== false) {
+            await writeWithSyncTracking({
+                mangaList: list,
+                schemaVersion: CURRENT_SCHEMA_VERSION,
+                mangaListWriter: { id: SYNC_WRITER_ID, write: ++mangaListWrites }
+            });
+        }
+        return result;
+    });
+}
+
+/**
+ * Checks if a change of the stored manga list was saved by this view.
+ *
+ * @param {Object} changes - The changes passed to a chrome.storage.onChanged listener.
+ *
+ * @returns {boolean} True if the manga list was saved by `updateStoredMangas` in this view.
+ */
+function isOwnMangaListSave(changes) {
+    return Boolean(changes.mangaListWriter && changes.mangaListWriter.newValue
+        && changes.mangaListWriter.newValue.id === SYNC_WRITER_ID);
+}
+
+/**
+ * Creates an empty sync state, with the field modification times and the deletion times of each collection.
+ *
+ * @returns {Object} The sync state.
+ */
+function createSyncState() {
+    return {
+        mangas: { times: {}, tombstones: {} },
+        tags: { times: {}, tombstones: {} }
+    };
+}
+
+/**
+ * Records the modification time of every field that differs between two versions of a collection,
+ * and the deletion time of every entry that was removed.
+ *
+ * @param {Array} previousList - The stored entries.
+ * @param {Array} list - The entries about to be stored.
+ * @param {Object} state - The sync state of the collection, updated in place.
+ * @param {Object} fields - The synced fields of the collection.
+ * @param {number} now - The modification time, in milliseconds.
+ */
+function stampChanges(previousList, list, state, fields, now) {
+    const previousById = new Map(previousList.map(entry => [entry.id, entry]));
+
+    list.forEach(entry => {
+        const previous = previousById.get(entry.id);
+        const times = state.times[entry.id] || (state.times[entry.id] = {});
+
+        Object.values(fields).forEach(field => {
+            if (!previous || !isSameSyncValue(previous[field], entry[field])) {
+                times[field] = now;
+            }
+        });
+        previousById.delete(entry.id);
+    });
+
+    previousById.forEach((entry, id) => {
+        state.tombstones[id] = now;
+        delete state.times[id];
+    });
+}
+
+/**
+ * Compares two field values by content.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ *
+ * @returns {boolean} True if both values are equal.
+ */
+function isSameSyncValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Schedules a sync through chrome.storage.sync and with the sync API, each if it is enabled.
+ * Calls made during the delay are merged into a single sync.
+ *
+ * @param {number} [delay=SYNC_DELAY] - The delay in milliseconds.
+ */
+function requestSync(delay = SYNC_DELAY) {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(async () => {
+        const { syncEnabled, apiSyncSettings } = await chrome.storage.local.get({ syncEnabled: false, apiSyncSettings: {} });
+        if (syncEnabled) {
+            queueSyncTask(syncLibrary).catch(error => console.error('Error syncing the library:', error));
+        }
+        if (apiSyncSettings.enabled) {
+            syncWithApi().catch(error => console.error('Error syncing with the API:', error));
+        }
+    }, delay);
+}
+
+/**
+ * Merges the local library with the one in chrome.storage.sync, field by field, keeping the latest change of each field.
+ * The merged library is saved locally and the changed chunks are written back to chrome.storage.sync.
+ * The outcome is saved as `syncStatus` so every open view can show it.
+ *
+ * @returns {Promise<string|null>} A promise that resolves to null on success, or to the error code
+ * ('outdated' if another device uses a newer version, 'quota' if the library does not fit in sync storage).
+ */
+async function syncLibrary() {
+    const [local, remoteItems] = await Promise.all([
+        chrome.storage.local.get(['mangaList', 'tagList', 'syncState', 'schemaVersion', 'syncStatus']),
+        chrome.storage.sync.get(null)
+    ]);
+    const remote = decodeSyncItems(remoteItems);
+    const lastSyncedAt = local.syncStatus ? local.syncStatus.lastSyncedAt : undefined;
+
+    if (remote.formatVersion > SYNC_FORMAT_VERSION || remote.schemaVersion > CURRENT_SCHEMA_VERSION) {
+        await chrome.storage.local.set({ syncStatus: { lastSyncedAt: lastSyncedAt, error: 'outdated' } });
+        return 'outdated';
+    }
+
+    const syncState = local.syncState || createSyncState();
+    const localLists = {
+        mangas: migrateMangaList(local.mangaList || [], local.schemaVersion || 0),
+        tags: local.tagList || []
+    };
+
+    const merged = {};
+    Object.entries(SYNC_COLLECTIONS).forEach(([name, collection]) => {
+        merged[name] = mergeCollection(localLists[name], syncState[name], remote[name], collection);
+    });
+
+    const syncItems = encodeSyncItems(merged);
+    const totalBytes = Object.entries(syncItems)
+        .reduce((total, [key, value]) => total + getByteSize(key) + getByteSize(JSON.stringify(value)), 0);
+    const fits = totalBytes <= chrome.storage.sync.QUOTA_BYTES && Object.keys(syncItems).length <= chrome.storage.sync.MAX_ITEMS;
+
+    if (fits) {
+        const obsoleteKeys = Object.keys(remoteItems).filter(key => key.startsWith(SYNC_KEY_PREFIX) && !(key in syncItems));
+        const changedItems = Object.fromEntries(Object.entries(syncItems)
+            .filter(([key, value]) => !isSameSyncValue(remoteItems[key], value)));
+
+        // Obsolete chunks are removed first to free quota for the new ones
+        if (obsoleteKeys.length > 0) {
+            await chrome.storage.sync.remove(obsoleteKeys);
+        }
+        if (Object.keys(changedItems).length > 0) {
+            await chrome.storage.sync.set(changedItems);
+        }
+    }
+
+    // The merged lists are saved even when they do not fit, and together with the status so views know they come from a sync
+    const error = fits ? null : 'quota';
+    const localItems = {
+        syncState: { mangas: merged.mangas.state, tags: merged.tags.state },
+        syncStatus: { lastSyncedAt: fits ? Date.now() : lastSyncedAt, error: error }
+    };
+    if (!isSameSyncValue(merged.mangas.list, local.mangaList || [])) {
+        localItems.mangaList = merged.mangas.list;
+        localItems.schemaVersion = CURRENT_SCHEMA_VERSION;
+    }
+    if (!isSameSyncValue(merged.tags.list, local.tagList || [])) {
+        localItems.tagList = merged.tags.list;
+    }
+    await chrome.storage.local.set(localItems);
+    return error;
+}
+
+/**
+ * Merges the local and remote versions of a collection. Each field takes the value that was changed last,
+ * and entries deleted after their last change on any device are removed.
+ *
+ * @param {Array} list - The local entries.
+ * @param {Object} state - The local sync state of the collection (field times and tombstones).
+ * @param {Object} remote - The decoded remote collection: records with values and times, and tombstones.
+ * @param {Object} collection - The collection settings from `SYNC_COLLECTIONS`.
+ *
+ * @returns {Object} The merged entries (`list`) and sync state (`state`).
+ */
+function mergeCollection(list, state, remote, collection) {
+    const now = Date.now();
+    const tombstones = { ...remote.tombstones };
+    Object.entries(state.tombstones).forEach(([id, time]) => {
+        tombstones[id] = Math.max(time, tombstones[id] || 0);
+    });
+
+    const localById = new Map(list.map(entry => [entry.id, entry]));
+    const remoteById = new Map(remote.records.map(record => [record.id, record]));
+    const ids = [...new Set([...localById.keys(), ...remoteById.keys()])];
+
+    const mergedList = [];
+    const times = {};
+    ids.forEach(id => {
+        const localEntry = localById.get(id);
+        const localTimes = state.times[id] || {};
+        const remoteRecord = remoteById.get(id);
+
+        const entry = localEntry ? { ...localEntry } : { ...collection.defaults, id: id };
+        const entryTimes = {};
+
+        Object.values(collection.fields).forEach(field => {
+            // A missing side never wins, while fields changed before sync existed have a time of 0
+            const localTime = localEntry ? (localTimes[field] || 0) : -1;
+            const remoteTime = remoteRecord ? (remoteRecord.times[field] || 0) : -1;
+
+            if (remoteTime > localTime && remoteRecord.values[field] !== undefined) {
+                entry[field] = remoteRecord.values[field];
+                entryTimes[field] = remoteTime;
+            } else {
+                entryTimes[field] = Math.max(localTime, 0);
+            }
+        });
+
+        const lastChange = Math.max(...Object.values(entryTimes));
+        if (tombstones[id] >= lastChange) return;
+
+        // Changed after being deleted somewhere else, so the entry survives and its tombstone is dropped
+        delete tombstones[id];
+        mergedList.push(entry);
+        times[id] = entryTimes;
+    });
+
+    Object.entries(tombstones).forEach(([id, time]) => {
+        if (now - time > SYNC_TOMBSTONE_LIFETIME) delete tombstones[id];
+    });
+
+    return { list: mergedList, state: { times, tombstones } };
+}
+
+/**
+ * Encodes the merged collections into chrome.storage.sync items: the metadata and chunks of records.
+ *
+ * @param {Object} merged - The merged `list` and `state` of each collection.
+ *
+ * @returns {Object} The sync items, keyed by storage key.
+ */
+function encodeSyncItems(merged) {
+    const items = {};
+    const chunkCounts = {};
+
+    const tombstoneRecords = [];
+    Object.entries(SYNC_COLLECTIONS).forEach(([name, collection]) => {
+        const records = merged[name].list.map(entry => encodeSyncRecord(entry, merged[name].state.times[entry.id], collection.fields));
+        const chunks = packSyncChunks(records);
+        chunks.forEach((chunk, index) => {
+            items[`${SYNC_KEY_PREFIX}${collection.chunkKey}${index}`] = chunk;
+        });
+        chunkCounts[collection.chunkKey] = chunks.length;
+
+        Object.entries(merged[name].state.tombstones).forEach(([id, time]) => {
+            tombstoneRecords.push([collection.chunkKey, id, time.toString(36)]);
+        });
+    });
+
+    const tombstoneChunks = packSyncChunks(tombstoneRecords);
+    tombstoneChunks.forEach((chunk, index) => {
+        items[`${SYNC_KEY_PREFIX}x${index}`] = chunk;
+    });
+    chunkCounts.x = tombstoneChunks.length;
+
+    items[SYNC_META_KEY] = { v: SYNC_FORMAT_VERSION, s: CURRENT_SCHEMA_VERSION, c: chunkCounts };
+    return items;
+}
+
+/**
+ * Encodes an entry as a compact record. Times are in base 36, with the latest one stored once (`T`)
+ * and only the fields changed at another time listed in `_`.
+ *
+ * @param {Object} entry - The entry to encode.
+ * @param {Object} times - The modification time of each field of the entry.
+ * @param {Object} fields - The synced fields, keyed by short name.
+ *
+ * @returns {Object} The record.
+ */
+function encodeSyncRecord(entry, times, fields) {
+    const latest = Math.max(0, ...Object.values(times));
+    const record = { id: entry.id, T: latest.toString(36) };
+    const otherTimes = {};
+
+    Object.entries(fields).forEach(([shortName, field]) => {
+        if (entry[field] !== undefined) record[shortName] = entry[field];
+        if ((times[field] || 0) !== latest) otherTimes[shortName] = (times[field] || 0).toString(36);
+    });
+    if (Object.keys(otherTimes).length > 0) record._ = otherTimes;
+
+    // Oversized images (such as data URLs) are left out so the rest of the entry still fits in a chunk
+    if (record.i && getByteSize(JSON.stringify(record)) > SYNC_CHUNK_BYTES) {
+        delete record.i;
+    }
+    return record;
+}
+
+/**
+ * Packs records into chunks that fit in a single chrome.storage.sync item.
+ *
+ * @param {Array} records - The records to pack.
+ *
+ * @returns {Array<Array>} The chunks.
+ */
+function packSyncChunks(records) {
+    const chunks = [];
+    let chunk = [];
+    let chunkSize = 2;
+
+    records.forEach(record => {
+        const recordSize = getByteSize(JSON.stringify(record)) + 1;
+        if (chunk.length > 0 && chunkSize + recordSize > SYNC_CHUNK_BYTES) {
+            chunks.push(chunk);
+            chunk = [];
+            chunkSize = 2;
+        }
+        chunk.push(record);
+        chunkSize += recordSize;
+    });
+
+    if (chunk.length > 0) chunks.push(chunk);
+    return chunks;
+}
+
+/**
+ * Decodes the chrome.storage.sync items written by `encodeSyncItems`.
+ *
+ * @param {Object} items - All the items in chrome.storage.sync.
+ *
+ * @returns {Object} The format and schema versions, and the records and tombstones of each collection.
+ */
+function decodeSyncItems(items) {
+    const meta = items[SYNC_META_KEY] || { v: SYNC_FORMAT_VERSION, s: 0, c: {} };
+    const readChunks = (chunkKey) => Array.from({ length: meta.c[chunkKey] || 0 },
+        (_, index) => items[`${SYNC_KEY_PREFIX}${chunkKey}${index}`] || []).flat();
+
+    const tombstoneRecords = readChunks('x');
+    const decoded = { formatVersion: meta.v, schemaVersion: meta.s };
+
+    Object.entries(SYNC_COLLECTIONS).forEach(([name, collection]) => {
+        const tombstones = {};
+        tombstoneRecords
+            .filter(([chunkKey]) => chunkKey === collection.chunkKey)
+            .forEach(([, id, time]) => { tombstones[id] = parseInt(time, 36); });
+
+        decoded[name] = {
+            records: readChunks(collection.chunkKey).map(record => decodeSyncRecord(record, collection.fields)),
+            tombstones: tombstones
+        };
+    });
+    return decoded;
+}
+
+/**
+ * Decodes a record written by `encodeSyncRecord`.
+ *
+ * @param {Object} record - The compact record.
+ * @param {Object} fields - The synced fields, keyed by short name.
+ *
+ * @returns {Object} The entry ID, its field values and their modification times.
+ */
+function decodeSyncRecord(record, fields) {
+    const latest = parseInt(record.T, 36) || 0;
+    const otherTimes = record._ || {};
+    const values = {};
+    const times = {};
+
+    Object.entries(fields).forEach(([shortName, field]) => {
+        values[field] = record[shortName];
+        times[field] = shortName in otherTimes ? parseInt(otherTimes[shortName], 36) : latest;
+    });
+    return { id: record.id, values, times };
+}
+
+/**
+ * Measures the size of a string once encoded in UTF-8, as counted by the chrome.storage.sync quotas.
+ *
+ * @param {string} text - The string to measure.
+ *
+ * @returns {number} The size in bytes.
+ */
+function getByteSize(text) {
+    return new TextEncoder().encode(text).length;
+}
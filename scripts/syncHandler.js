@@ -0,0 +1,287 @@
+// Attach event listener for DOMContentLoaded to show the sync settings and sync the library when the popup opens
+document.addEventListener('DOMContentLoaded', loadSyncSettings);
+
+// Attach event listener for the sync toggle in the settings dialog
+document.getElementById('syncEnabled').addEventListener('change', handleSyncToggle);
+
+// Attach event listener for the "Sync now" button in the settings dialog
+document.getElementById('sync-now').addEventListener('click', handleSyncNow);
+
+// Attach event listener for the sync server toggle in the settings dialog
+document.getElementById('apiSyncEnabled').addEventListener('change', handleApiSyncToggle);
+
+// Attach event listeners to save the sync server settings when its endpoint or token change
+['apiSyncEndpoint', 'apiSyncToken'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => saveApiSyncSettings());
+});
+
+// Attach event listener for the "Sync now" button of the sync server
+document.getElementById('api-sync-now').addEventListener('click', handleApiSyncNow);
+
+// Attach event listener for storage changes to show the sync status and the mangas saved outside the popup,
+// merged from other devices or updated by the service worker, so the next save of the popup does not overwrite them
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (changes.syncStatus) {
+        renderSyncStatus(changes.syncStatus.newValue);
+    }
+    if (changes.apiSyncStatus || changes.apiSyncState) {
+        renderApiSyncStatus();
+    }
+
+    // Saves of the popup itself store the mangas it already has
+    let mangasChanged = false;
+    if (changes.mangaList && !isOwnMangaListSave(changes)) {
+        mangasChanged = applyStoredMangaChanges(changes.mangaList.oldValue || [], changes.mangaList.newValue || []);
+    }
+    const tagsChanged = changes.tagList && !isSameSyncValue(changes.tagList.newValue || [], tagList);
+
+    if (tagsChanged) {
+        tagList = changes.tagList.newValue || [];
+        refreshTags(getSelectedTagIds());
+    } else if (mangasChanged) {
+        loadFilteredMangas();
+    }
+});
+
+/**
+ * Loads the sync preferences and statuses, and syncs the library with whatever sync is enabled.
+ */
+function loadSyncSettings() {
+    chrome.storage.local.get({ syncEnabled: false, syncStatus: {}, apiSyncSettings: {} }, function (result) {
+        if (chrome.runtime.lastError) {
+            console.error('Error loading sync settings:', chrome.runtime.lastError);
+            return;
+        }
+
+        document.getElementById('syncEnabled').checked = result.syncEnabled;
+        renderSyncStatus(result.syncStatus);
+
+        document.getElementById('apiSyncEnabled').checked = Boolean(result.apiSyncSettings.enabled);
+        document.getElementById('apiSyncEndpoint').value = result.apiSyncSettings.endpoint || '';
+        document.getElementById('apiSyncToken').value = result.apiSyncSettings.token || '';
+        renderApiSyncStatus();
+
+        requestSync(0);
+    });
+}
+
+/**
+ * Saves the sync preference and syncs right away when sync is turned on.
+ *
+ * @param {Event} event - The change event of the sync toggle.
+ */
+function handleSyncToggle(event) {
+    const syncEnabled = event.target.checked;
+    chrome.storage.local.set({ syncEnabled: syncEnabled }, function () {
+        if (chrome.runtime.lastError) {
+            console.error('Error saving sync preference:', chrome.runtime.lastError);
+            return;
+        }
+
+        chrome.storage.local.get({ syncStatus: {} }, result => renderSyncStatus(result.syncStatus));
+        if (syncEnabled) {
+            requestSync(0);
+        }
+    });
+}
+
+/**
+ * Syncs the library right away, without waiting for the next change.
+ */
+function handleSyncNow() {
+    if (!document.getElementById('syncEnabled').checked) return;
+
+    const button = document.getElementById('sync-now');
+    button.disabled = true;
+    queueSyncTask(syncLibrary)
+        .catch(error => {
+            showModal('modal-sync-error');
+            console.error('Error syncing the library:', error);
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
+}
+
+/**
+ * Shows the outcome of the last sync and the usage of the sync storage quota.
+ * The status keeps its translation key, so it is translated again when the language changes.
+ *
+ * @param {Object} syncStatus - The status saved by the last sync (`lastSyncedAt` and `error`).
+ */
+function renderSyncStatus(syncStatus) {
+    const syncEnabled = document.getElementById('syncEnabled').checked;
+    const hasError = Boolean(syncEnabled && syncStatus && syncStatus.error);
+
+    let statusKey = 'sync-status-never';
+    if (!syncEnabled) {
+        statusKey = 'sync-status-off';
+    } else if (hasError) {
+        statusKey = `sync-status-error-${syncStatus.error}`;
+    } else if (syncStatus && syncStatus.lastSyncedAt) {
+        statusKey = 'sync-status-synced';
+    }
+
+    const statusText = document.getElementById('sync-status');
+    statusText.dataset.translateKey = statusKey;
+    if (window.translations) {
+        statusText.textContent = translate(statusKey);
+    }
+    statusText.classList.toggle('text-light-red', hasError);
+
+    document.getElementById('sync-date').textContent = statusKey === 'sync-status-synced'
+        ? formatDateTime(syncStatus.lastSyncedAt)
+        : '';
+    document.getElementById('sync-now').disabled = !syncEnabled;
+
+    renderSyncQuota();
+}
+
+/**
+ * Shows how much of the chrome.storage.sync quota is in use.
+ */
+function renderSyncQuota() {
+    chrome.storage.sync.getBytesInUse(null, function (bytesInUse) {
+        if (chrome.runtime.lastError) {
+            console.error('Error reading sync storage usage:', chrome.runtime.lastError);
+            return;
+        }
+
+        const quota = chrome.storage.sync.QUOTA_BYTES;
+        const percent = Math.min(bytesInUse / quota, 1) * 100;
+
+        document.getElementById('sync-quota-bar').style.width = `${percent}%`;
+        document.getElementById('sync-quota').textContent =
+            `${(bytesInUse / 1024).toFixed(1)} / ${Math.round(quota / 1024)} KB (${Math.round(percent)}%)`;
+    });
+}
+
+/**
+ * Turns the sync server on or off. Turning it on needs an endpoint and permission to reach it.
+ *
+ * @param {Event} event - The change event of the sync server toggle.
+ */
+async function handleApiSyncToggle(event) {
+    const toggle = event.target;
+    if (toggle.checked && !(await requestApiSyncPermission())) {
+        toggle.checked = false;
+        return;
+    }
+
+    await saveApiSyncSettings();
+    renderApiSyncStatus();
+    if (toggle.checked) {
+        requestSync(0);
+    }
+}
+
+/**
+ * Asks for permission to reach the configured sync server.
+ *
+ * @returns {Promise<boolean>} A promise that resolves to true if the server can be reached.
+ */
+async function requestApiSyncPermission() {
+    let origin;
+    try {
+        origin = new URL(document.getElementById('apiSyncEndpoint').value.trim()).origin;
+    } catch (error) {
+        showModal('modal-api-sync-endpoint-required');
+        return false;
+    }
+
+    const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+    if (!granted) {
+        showModal('modal-api-sync-permission-denied');
+    }
+    return granted;
+}
+
+/**
+ * Saves the sync server settings from the settings inputs. Changes made while the sync was off are not queued,
+ * so when it is turned on or the endpoint changes, the sync starts over: the server version of the mangas it knows
+ * is pulled and the rest of the library is sent to it.
+ *
+ * @returns {Promise} A promise that resolves once the settings are saved.
+ */
+async function saveApiSyncSettings() {
+    const settings = {
+        enabled: document.getElementById('apiSyncEnabled').checked,
+        endpoint: document.getElementById('apiSyncEndpoint').value.trim(),
+        token: document.getElementById('apiSyncToken').value.trim()
+    };
+
+    try {
+        await queueSyncTask(async () => {
+            const { apiSyncSettings } = await chrome.storage.local.get({ apiSyncSettings: {} });
+            const items = { apiSyncSettings: settings };
+            if ((settings.enabled && !apiSyncSettings.enabled) || apiSyncSettings.endpoint !== settings.endpoint) {
+                Object.assign(items, { apiSyncState: createApiSyncState(), apiSyncStatus: {} });
+            }
+            await chrome.storage.local.set(items);
+        });
+    } catch (error) {
+        console.error('Error saving sync server settings:', error);
+    }
+}
+
+/**
+ * Syncs the library with the sync server right away, asking again for permission to reach it.
+ */
+async function handleApiSyncNow() {
+    if (!document.getElementById('apiSyncEnabled').checked || !(await requestApiSyncPermission())) return;
+
+    const button = document.getElementById('api-sync-now');
+    button.disabled = true;
+    try {
+        await syncWithApi();
+    } catch (error) {
+        showModal('modal-sync-error');
+        console.error('Error syncing with the API:', error);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Shows the outcome of the last sync with the sync server and how many changes are waiting to be sent.
+ * The status keeps its translation key, so it is translated again when the language changes.
+ */
+function renderApiSyncStatus() {
+    chrome.storage.local.get({ apiSyncStatus: {}, apiSyncState: createApiSyncState() }, function (result) {
+        if (chrome.runtime.lastError) {
+            console.error('Error loading the sync server status:', chrome.runtime.lastError);
+            return;
+        }
+
+        const syncEnabled = document.getElementById('apiSyncEnabled').checked;
+        const syncStatus = result.apiSyncStatus;
+        const hasError = Boolean(syncEnabled && syncStatus.error);
+
+        let statusKey = 'sync-status-never';
+        if (!syncEnabled) {
+            statusKey = 'sync-status-off';
+        } else if (hasError) {
+            statusKey = `api-sync-status-error-${syncStatus.error}`;
+        } else if (syncStatus.lastSyncedAt) {
+            statusKey = 'sync-status-synced';
+        }
+
+        const statusText = document.getElementById('api-sync-status');
+        statusText.dataset.translateKey = statusKey;
+        if (window.translations) {
+            statusText.textContent = translate(statusKey);
+        }
+        statusText.classList.toggle('text-light-red', hasError);
+
+        document.getElementById('api-sync-date').textContent = statusKey === 'sync-status-synced'
+            ? formatDateTime(syncStatus.lastSyncedAt)
+            : '';
+        document.getElementById('api-sync-now').disabled = !syncEnabled;
+
+        const pendingChanges = syncEnabled ? result.apiSyncState.queue.length : 0;
+        document.getElementById('api-sync-pending-count').textContent = pendingChanges;
+        document.getElementById('api-sync-pending').classList.toggle('hidden', pendingChanges === 0);
+    });
+}
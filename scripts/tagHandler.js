@@ -0,0 +1,338 @@
+// Color preselected for new tags
+const DEFAULT_TAG_COLOR = '#3B82F6';
+
+// Valid tag color format, as produced by color inputs
+const TAG_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Attach event listener for the create tag button in the manga form
+document.getElementById('createTag').addEventListener('click', handleTagCreation);
+
+// Attach event listener for the new tag input so 'Enter' creates the tag instead of submitting the form
+document.getElementById('newTagName').addEventListener('keydown', function(event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        handleTagCreation();
+    }
+});
+
+/**
+ * Event delegation for selecting and unselecting tags in the manga form.
+ */
+document.getElementById('tagSelector').addEventListener('click', (event) => {
+    const chip = event.target.closest('[data-tag-id]');
+    if (!chip) return;
+
+    const selected = chip.dataset.selected !== 'true';
+    chip.dataset.selected = selected;
+    styleTagChip(chip, findTag(chip.dataset.tagId), selected ? 'selected' : '');
+});
+
+/**
+ * Event delegation for renaming and recoloring tags in the tag editor.
+ */
+document.getElementById('tagEditor').addEventListener('change', (event) => {
+    const row = event.target.closest('[data-tag-id]');
+    if (!row) return;
+
+    if (event.target.classList.contains('tag-name-input')) {
+        handleTagRename(row.dataset.tagId, event.target);
+    } else if (event.target.classList.contains('tag-color-input')) {
+        handleTagRecolor(row.dataset.tagId, event.target.value);
+    }
+});
+
+/**
+ * Event delegation for deleting tags in the tag editor.
+ */
+document.getElementById('tagEditor').addEventListener('click', (event) => {
+    const row = event.target.closest('[data-tag-id]');
+    if (row && event.target.closest('.delete-tag')) {
+        handleTagDeletion(row.dataset.tagId);
+    }
+});
+
+/**
+ * Finds a tag by its ID.
+ *
+ * @param {string} tagId - The ID of the tag.
+ *
+ * @returns {Object|undefined} The tag object, or undefined if it does not exist.
+ */
+function findTag(tagId) {
+    return tagList.find(tag => tag.id === tagId);
+}
+
+/**
+ * Checks if a tag name is already used, ignoring case.
+ *
+ * @param {string} name - The tag name to check.
+ * @param {string} [ignoredTagId] - The ID of a tag to leave out of the check (used when renaming).
+ *
+ * @returns {boolean} True if another tag already has this name, false otherwise.
+ */
+function isTagNameUsed(name, ignoredTagId) {
+    return tagList.some(tag => tag.id !== ignoredTagId && tag.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Returns the IDs of the tags selected in the manga form.
+ *
+ * @returns {Array<string>} The selected tag IDs.
+ */
+function getSelectedTagIds() {
+    return Array.from(document.querySelectorAll('#tagSelector [data-selected="true"]'))
+        .map(chip => chip.dataset.tagId);
+}
+
+/**
+ * Renders every tag as a selectable chip in the manga form.
+ *
+ * @param {Array<string>} selectedIds - The IDs of the tags to show as selected.
+ */
+function renderTagSelector(selectedIds) {
+    const tagSelector = document.getElementById('tagSelector');
+    tagSelector.innerHTML = '';
+    document.getElementById('noTagsMessage').classList.toggle('hidden', tagList.length > 0);
+
+    tagList.forEach(tag => {
+        const selected = selectedIds.includes(tag.id);
+        const chip = createTagChip(tag, selected ? 'selected' : '');
+        chip.dataset.selected = selected;
+        tagSelector.appendChild(chip);
+    });
+}
+
+/**
+ * Renders the list of tags with inputs to rename, recolor and delete them.
+ */
+function renderTagEditor() {
+    const tagEditor = document.getElementById('tagEditor');
+    tagEditor.innerHTML = '';
+
+    tagList.forEach(tag => {
+        const row = document.createElement('div');
+        row.classList.add('flex', 'items-center', 'space-x-2');
+        row.dataset.tagId = tag.id;
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = tag.color;
+        colorInput.classList.add('tag-color-input', 'h-8', 'w-8', 'flex-shrink-0', 'cursor-pointer', 'bg-transparent');
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = tag.name;
+        nameInput.autocomplete = 'off';
+        nameInput.classList.add(
+            'tag-name-input', 'flex', 'h-8', 'w-full', 'rounded-md', 'border', 'border-light-border', 'dark:border-dark-border',
+            'bg-light-primary', 'dark:bg-dark-secondary', 'px-2', 'text-sm'
+        );
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.classList.add('delete-tag', 'text-light-red', 'hover:text-dark-red', 'text-lg', 'font-bold', 'px-2');
+        deleteButton.textContent = '×';
+
+        row.appendChild(colorInput);
+        row.appendChild(nameInput);
+        row.appendChild(deleteButton);
+        tagEditor.appendChild(row);
+    });
+}
+
+/**
+ * Creates a chip element for a tag.
+ *
+ * @param {Object} tag - The tag object containing its ID, name and color.
+ * @param {string} [state=''] - The state of the chip ('selected', 'include', 'exclude' or '' for none).
+ *
+ * @returns {HTMLElement} The chip element.
+ */
+function createTagChip(tag, state = '') {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.dataset.tagId = tag.id;
+    chip.textContent = tag.name;
+    chip.classList.add(
+        'inline-flex', 'items-center', 'rounded-full', 'border-2', 'px-2', 'py-0.5',
+        'text-xs', 'font-medium', 'transition-colors'
+    );
+    styleTagChip(chip, tag, state);
+
+    return chip;
+}
+
+/**
+ * Applies the colors of a tag to a chip according to its state.
+ * Selected and included chips are filled, excluded ones are struck through.
+ *
+ * @param {HTMLElement} chip - The chip element.
+ * @param {Object} tag - The tag object.
+ * @param {string} state - The state of the chip ('selected', 'include', 'exclude' or '' for none).
+ */
+function styleTagChip(chip, tag, state) {
+    const filled = state === 'selected' || state === 'include';
+
+    chip.style.borderColor = tag.color;
+    chip.style.backgroundColor = filled ? tag.color : 'transparent';
+    chip.style.color = filled ? getContrastTextColor(tag.color) : '';
+    chip.classList.toggle('line-through', state === 'exclude');
+    chip.classList.toggle('opacity-60', state === 'exclude');
+}
+
+/**
+ * Creates the HTML of the tag chips shown on a manga item.
+ *
+ * @param {Object} manga - The manga object.
+ *
+ * @returns {string} The HTML of the chips, or an empty string if the manga has no tags.
+ */
+function createTagBadgesHtml(manga) {
+    return (manga.tags || [])
+        .map(findTag)
+        .filter(Boolean)
+        .map(tag => `
+            <span class="rounded-full px-2 text-xs font-medium" style="background-color: ${tag.color}; color: ${getContrastTextColor(tag.color)}">${escapeHtml(tag.name)}</span>
+        `)
+        .join('');
+}
+
+/**
+ * Picks a readable text color (dark or light) for a given background color.
+ *
+ * @param {string} hexColor - The background color in '#RRGGBB' format.
+ *
+ * @returns {string} '#191919' for light backgrounds or '#FFFFFF' for dark ones.
+ */
+function getContrastTextColor(hexColor) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hexColor.slice(i, i + 2), 16));
+    const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+    return luminance > 0.6 ? '#191919' : '#FFFFFF';
+}
+
+/**
+ * Creates a new tag from the name and color inputs in the manga form and selects it.
+ */
+function handleTagCreation() {
+    const nameInput = document.getElementById('newTagName');
+    const colorInput = document.getElementById('newTagColor');
+    const name = nameInput.value.trim();
+
+    if (!name) {
+        showModal('modal-tag-name-required');
+        return;
+    }
+    if (isTagNameUsed(name)) {
+        showModal('modal-unique-tag-name-required');
+        return;
+    }
+
+    const tag = { id: generateId(), name: name, color: colorInput.value || DEFAULT_TAG_COLOR };
+    tagList.push(tag);
+
+    nameInput.value = '';
+    colorInput.value = DEFAULT_TAG_COLOR;
+    refreshTags([...getSelectedTagIds(), tag.id]);
+}
+
+/**
+ * Renames a tag, restoring the previous name if the new one is empty or already used.
+ *
+ * @param {string} tagId - The ID of the tag to rename.
+ * @param {HTMLInputElement} input - The input containing the new name.
+ */
+function handleTagRename(tagId, input) {
+    const tag = findTag(tagId);
+    const name = input.value.trim();
+
+    if (!name || isTagNameUsed(name, tagId)) {
+        input.value = tag.name;
+        showModal(name ? 'modal-unique-tag-name-required' : 'modal-tag-name-required');
+        return;
+    }
+
+    tag.name = name;
+    refreshTags(getSelectedTagIds());
+}
+
+/**
+ * Changes the color of a tag.
+ *
+ * @param {string} tagId - The ID of the tag to recolor.
+ * @param {string} color - The new color in '#RRGGBB' format.
+ */
+function handleTagRecolor(tagId, color) {
+    findTag(tagId).color = color;
+    refreshTags(getSelectedTagIds());
+}
+
+/**
+ * Deletes a tag and removes it from every manga and from the tag filters.
+ * A snapshot of the library is taken first, since every manga with the tag changes.
+ *
+ * @param {string} tagId - The ID of the tag to delete.
+ */
+function handleTagDeletion(tagId) {
+    snapshotBeforeChange('bulk');
+    tagList = tagList.filter(tag => tag.id !== tagId);
+    mangaList.forEach(manga => {
+        manga.tags = (manga.tags || []).filter(id => id !== tagId);
+    });
+    removeTagFromFilters(tagId);
+
+    refreshTags(getSelectedTagIds().filter(id => id !== tagId));
+    saveMangas();
+    saveFilterOptions();
+}
+
+/**
+ * Saves the tags and re-renders every place they are shown.
+ *
+ * @param {Array<string>} selectedIds - The IDs of the tags to keep selected in the manga form.
+ */
+function refreshTags(selectedIds) {
+    saveTags();
+    renderTagSelector(selectedIds);
+    renderTagEditor();
+    renderTagFilters();
+    loadFilteredMangas();
+}
+
+/**
+ * Converts tag IDs into name and color pairs, so exported files do not depend on the tags stored in this browser.
+ *
+ * @param {Array<string>} tagIds - The tag IDs of a manga.
+ *
+ * @returns {Array<Object>} The exported tags, each with a name and a color.
+ */
+function serializeTags(tagIds) {
+    return (tagIds || [])
+        .map(findTag)
+        .filter(Boolean)
+        .map(tag => ({ name: tag.name, color: tag.color }));
+}
+
+/**
+ * Converts imported tags (names or name and color pairs) into tag IDs,
+ * reusing tags with the same name and creating the missing ones.
+ *
+ * @param {Array<string|Object>} importedTags - The tags of an imported manga.
+ *
+ * @returns {Array<string>} The tag IDs, without duplicates.
+ */
+function resolveImportedTags(importedTags) {
+    const tagIds = (importedTags || []).map(importedTag => {
+        const name = String(typeof importedTag === 'string' ? importedTag : importedTag.name).trim();
+        if (!name) return null;
+
+        let tag = tagList.find(t => t.name.toLowerCase() === name.toLowerCase());
+        if (!tag) {
+            const color = TAG_COLOR_PATTERN.test(importedTag.color) ? importedTag.color : DEFAULT_TAG_COLOR;
+            tag = { id: generateId(), name: name, color: color };
+            tagList.push(tag);
+        }
+        return tag.id;
+    });
+
+    return [...new Set(tagIds.filter(Boolean))];
+}
@@ -49,7 +49,7 @@ const defaultTranslations = {
         "import-from-json-subtitle": "Import from JSON",
         "placeholder-search-bar": "Search manga...",
         "placeholder-image-url": "Provide the image URL. (optional)",
-        "placeholder-manga-title": "Must be unique. Leave in blank to use current page title.",
+        "placeholder-manga-title": "Leave in blank to use current page title.",
         "placeholder-manga-link": "Leave in blank to use the current page URL",
         "modal-not-all-mangas-valid": "Some manga entries in the JSON were invalid and were not added."
     }
@@ -86,6 +86,21 @@ function translate(key) {
     return translation;
 }
 
+/**
+ * Translates a given key and fills its `{placeholders}` with the given values.
+ * 
+ * @param {string} key - The key to translate.
+ * @param {Object} values - The values to insert, keyed by placeholder name.
+ * 
+ * @returns {string} - The translated string with its placeholders replaced.
+ */
+function formatTranslation(key, values) {
+    return Object.entries(values).reduce(
+        (text, [name, value]) => text.replaceAll(`{${name}}`, value),
+        translate(key)
+    );
+}
+
 /**
  * Loads the preferred language from local storage or browser settings.
  * If the language is not found in the provided translations, defaults to 'en'.
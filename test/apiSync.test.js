@@ -0,0 +1,211 @@
+// Syncs devices with the mock sync API, running the extension scripts in Node with an in-memory chrome.storage.local.
+// Run with `npm test`.
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const vm = require('vm');
+const { createMockSyncServer } = require('./mockSyncServer');
+
+// Scripts the sync with the API depends on, in the order the service worker imports them
+const SYNC_SCRIPTS = ['dates.js', 'migrations.js', 'mangaModel.js', 'syncEngine.js', 'apiSync.js', 'readingLog.js'];
+
+const TOKEN = 'test-token';
+
+let server;
+let endpoint;
+
+test.before(async () => {
+    server = createMockSyncServer(TOKEN);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+// Each test starts with an empty server
+test.beforeEach(() => {
+    server.state.revision = 0;
+    server.state.mangas.clear();
+    server.state.log.length = 0;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Creates a fake chrome.storage.local area, keeping copies of the stored values like the real one.
+ *
+ * @param {Object} data - The stored items, updated in place.
+ *
+ * @returns {Object} The storage area, with promise-based `get` and `set`.
+ */
+function createStorageArea(data) {
+    const copy = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    return {
+        async get(keys) {
+            if (keys == null) return copy(data);
+
+            const defaults = typeof keys === 'string' ? { [keys]: undefined }
+                : Array.isArray(keys) ? Object.fromEntries(keys.map(key => [key, undefined])) : keys;
+            const items = {};
+            Object.entries(defaults).forEach(([key, value]) => {
+                const stored = key in data ? data[key] : value;
+                if (stored !== undefined) items[key] = copy(stored);
+            });
+            return items;
+        },
+        async set(items) {
+            Object.assign(data, copy(items));
+        }
+    };
+}
+
+/**
+ * Loads the sync scripts for a device that syncs with the mock server.
+ *
+ * @returns {Object} The device, with its `storage` items and helpers to `save` its mangas, `sync`,
+ * only `push` its queue and read its `mangas`.
+ */
+function createDevice() {
+    const storage = {
+        apiSyncSettings: { enabled: true, endpoint: endpoint, token: TOKEN },
+        mangaList: []
+    };
+    const context = vm.createContext({
+        chrome: { storage: { local: createStorageArea(storage) } },
+        console: console,
+        crypto: crypto,
+        fetch: fetch,
+        navigator: { onLine: true, language: 'en-US' },
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout
+    });
+    SYNC_SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '../scripts', file), 'utf8'), context, { filename: file });
+    });
+
+    // The stored mangas are already in the current format, so they are not migrated
+    const schemaVersion = vm.runInContext('CURRENT_SCHEMA_VERSION', context);
+    storage.schemaVersion = schemaVersion;
+
+    // Syncs only run when a test asks for them
+    context.requestSync = () => {};
+
+    return {
+        storage: storage,
+        create: title => context.createManga({ title: title, link: `https://example.com/${title}` }),
+        save: mangaList => context.saveWithSyncTracking({ mangaList: mangaList, schemaVersion: schemaVersion }),
+        sync: () => context.syncWithApi(),
+        push: () => context.pushApiQueue(storage.apiSyncSettings),
+        mangas: () => JSON.parse(JSON.stringify(storage.mangaList))
+    };
+}
+
+/**
+ * Returns the HTTP status of the last request answered by the mock server with the given method.
+ *
+ * @param {string} method - The HTTP method.
+ *
+ * @returns {number|undefined} The status.
+ */
+function lastStatus(method) {
+    const requests = server.state.log.filter(entry => entry.method === method);
+    return requests.length > 0 ? requests[requests.length - 1].status : undefined;
+}
+
+test('pulls the mangas pushed by another device', async () => {
+    const laptop = createDevice();
+    const phone = createDevice();
+
+    const manga = laptop.create('Pulled');
+    manga.readChapters = 12;
+    await laptop.save([manga]);
+    assert.equal(await laptop.sync(), null);
+    assert.equal(laptop.storage.apiSyncState.queue.length, 0);
+    assert.equal(lastStatus('PUT'), 200);
+
+    assert.equal(await phone.sync(), null);
+    const [pulled] = phone.mangas();
+    assert.equal(pulled.id, manga.id);
+    assert.equal(pulled.readChapters, 12);
+    assert.equal(phone.storage.apiSyncState.revision, server.state.revision);
+    assert.equal(phone.storage.apiSyncState.revisions[manga.id], server.state.mangas.get(manga.id).revision);
+});
+
+test('merges a push made with a stale revision and pushes it again', async () => {
+    const laptop = createDevice();
+    const phone = createDevice();
+
+    await laptop.save([laptop.create('Conflict')]);
+    await laptop.sync();
+    await phone.sync();
+
+    const phoneMangas = phone.mangas();
+    phoneMangas[0].score = 9;
+    await phone.save(phoneMangas);
+    await phone.sync();
+
+    // The laptop pushes without pulling first, so its revision of the manga is stale
+    const laptopMangas = laptop.mangas();
+    laptopMangas[0].readChapters = 30;
+    await laptop.save(laptopMangas);
+    assert.equal(await laptop.push(), 1);
+    assert.equal(lastStatus('PUT'), 409);
+    assert.equal(laptop.mangas()[0].score, 9);
+    assert.equal(laptop.mangas()[0].readChapters, 30);
+
+    assert.equal(await laptop.push(), 0);
+    assert.equal(lastStatus('PUT'), 200);
+    const stored = server.state.mangas.get(laptopMangas[0].id).manga;
+    assert.equal(stored.score, 9);
+    assert.equal(stored.readChapters, 30);
+    assert.equal(laptop.storage.apiSyncState.queue.length, 0);
+});
+
+test('deletes mangas on the server and on the other devices', async () => {
+    const laptop = createDevice();
+    const phone = createDevice();
+
+    const kept = laptop.create('Kept');
+    const deleted = laptop.create('Deleted');
+    await laptop.save([kept, deleted]);
+    await laptop.sync();
+    await phone.sync();
+    assert.equal(phone.mangas().length, 2);
+
+    await laptop.save(laptop.mangas().filter(manga => manga.id !== deleted.id));
+    assert.equal(await laptop.sync(), null);
+    assert.equal(lastStatus('DELETE'), 200);
+    assert.equal(server.state.mangas.get(deleted.id).deleted, true);
+    assert.equal(deleted.id in laptop.storage.apiSyncState.revisions, false);
+
+    assert.equal(await phone.sync(), null);
+    assert.deepEqual(phone.mangas().map(manga => manga.id), [kept.id]);
+});
+
+test('keeps a local deletion over an edit made elsewhere', async () => {
+    const laptop = createDevice();
+    const phone = createDevice();
+
+    const manga = laptop.create('Deleted here');
+    await laptop.save([manga]);
+    await laptop.sync();
+    await phone.sync();
+
+    const phoneMangas = phone.mangas();
+    phoneMangas[0].readChapters = 50;
+    await phone.save(phoneMangas);
+    await phone.sync();
+
+    // The deletion is pushed with a stale revision, rejected, and pushed again with the new one
+    await laptop.save([]);
+    assert.equal(await laptop.push(), 1);
+    assert.equal(lastStatus('DELETE'), 409);
+    assert.deepEqual(laptop.mangas(), []);
+
+    assert.equal(await laptop.push(), 0);
+    assert.equal(lastStatus('DELETE'), 200);
+    assert.equal(server.state.mangas.get(manga.id).deleted, true);
+
+    await phone.sync();
+    assert.deepEqual(phone.mangas(), []);
+});
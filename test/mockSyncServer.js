@@ -0,0 +1,101 @@
+// Mock of the sync API described in SYNC_API.md, used by the tests and to try the sync server setting by hand:
+//   node test/mockSyncServer.js [port] [token]
+// It keeps everything in memory: the revision counter and the last change of each manga.
+
+const http = require('http');
+
+/**
+ * Creates a mock sync API server. Every path is served under `/api`.
+ *
+ * @param {string} token - The access token the requests have to send.
+ *
+ * @returns {http.Server} The server, not listening yet. Its `state` holds the `revision` counter,
+ * the `mangas` map from manga ID to `{ revision, deleted, manga }` and the `log` of answered requests.
+ */
+function createMockSyncServer(token) {
+    const state = { revision: 0, mangas: new Map(), log: [] };
+
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            const { status, data } = handleSyncRequest(state, token, request, body);
+            state.log.push({ method: request.method, url: request.url, status: status });
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(data));
+        });
+    });
+    server.state = state;
+    return server;
+}
+
+/**
+ * Answers a request to the mock sync API.
+ *
+ * @param {Object} state - The server state, updated in place.
+ * @param {string} token - The expected access token.
+ * @param {http.IncomingMessage} request - The request.
+ * @param {string} body - The request body.
+ *
+ * @returns {Object} The HTTP `status` and the `data` to send as JSON.
+ */
+function handleSyncRequest(state, token, request, body) {
+    if (request.headers.authorization !== `Bearer ${token}`) {
+        return { status: 401, data: { error: 'Invalid token' } };
+    }
+
+    const url = new URL(request.url, 'http://localhost');
+    const match = url.pathname.match(/^\/api\/mangas(?:\/([^/]+))?$/);
+    if (!match) {
+        return { status: 404, data: { error: 'Not found' } };
+    }
+
+    if (request.method === 'GET' && !match[1]) {
+        const since = Number(url.searchParams.get('since')) || 0;
+        const changes = [...state.mangas.entries()]
+            .filter(([, entry]) => entry.revision > since && !(since === 0 && entry.deleted))
+            .map(([id, entry]) => ({ id, ...entry }));
+        return { status: 200, data: { revision: state.revision, changes: changes } };
+    }
+
+    const id = decodeURIComponent(match[1] || '');
+    const current = state.mangas.get(id);
+
+    if (request.method === 'PUT' && id) {
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (error) {
+            return { status: 400, data: { error: 'Invalid JSON' } };
+        }
+        if ((current ? current.revision : 0) !== payload.baseRevision) {
+            return { status: 409, data: current };
+        }
+        state.revision++;
+        state.mangas.set(id, { revision: state.revision, deleted: false, manga: payload.manga });
+        return { status: 200, data: { revision: state.revision } };
+    }
+
+    if (request.method === 'DELETE' && id) {
+        if (!current) {
+            return { status: 200, data: { revision: state.revision } };
+        }
+        if (current.revision !== Number(url.searchParams.get('baseRevision'))) {
+            return { status: 409, data: current };
+        }
+        state.revision++;
+        state.mangas.set(id, { revision: state.revision, deleted: true });
+        return { status: 200, data: { revision: state.revision } };
+    }
+
+    return { status: 405, data: { error: 'Method not allowed' } };
+}
+
+module.exports = { createMockSyncServer };
+
+if (require.main === module) {
+    const [port = 8787, token = 'secret'] = process.argv.slice(2);
+    createMockSyncServer(token).listen(Number(port), () => {
+        console.log(`Mock sync API listening on http://localhost:${port}/api with the token "${token}"`);
+    });
+}